@@ -0,0 +1,251 @@
+/**
+ * @filedescription Errors
+ */
+
+"use strict";
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+/**
+ * Gets the message for an error that was thrown. Values thrown that aren't
+ * errors are converted into strings.
+ * @param {*} source The value that was thrown.
+ * @returns {string} The message.
+ */
+function getMessage(source) {
+    return source && typeof source.message === "string" ? source.message : String(source);
+}
+
+//-----------------------------------------------------------------------------
+// Classes
+//-----------------------------------------------------------------------------
+
+/**
+ * Base class for all errors thrown while validating or merging objects.
+ */
+class ObjectSchemaError extends Error {
+
+    /**
+     * Creates a new instance.
+     * @param {string} message The error message.
+     * @param {Object} options Additional information about the error.
+     * @param {string} options.code A stable identifier for this type of error.
+     * @param {Array<string|number>} options.path The keys and array indexes
+     *      leading to the location of the error.
+     * @param {*} [options.cause] The error that caused this error.
+     */
+    constructor(message, { code, path, cause }) {
+        super(message, cause ? { cause } : undefined);
+
+        /**
+         * The name of the error class.
+         * @type {string}
+         */
+        this.name = this.constructor.name;
+
+        /**
+         * A stable identifier for this type of error.
+         * @type {string}
+         */
+        this.code = code;
+
+        /**
+         * The keys and array indexes leading to the location of the error,
+         * including keys inside of subschemas.
+         * @type {Array<string|number>}
+         */
+        this.path = path;
+    }
+}
+
+/**
+ * Error when an unexpected key is found.
+ */
+class UnexpectedKeyError extends ObjectSchemaError {
+
+    /**
+     * Creates a new instance.
+     * @param {string} key The key that was unexpected. 
+     */
+    constructor(key) {
+        super(`Unexpected key "${key}" found.`, {
+            code: "UNEXPECTED_KEY",
+            path: [key]
+        });
+    }
+}
+
+/**
+ * Error when a required key is missing.
+ */
+class MissingKeyError extends ObjectSchemaError {
+
+    /**
+     * Creates a new instance.
+     * @param {string} key The key that was missing. 
+     */
+    constructor(key) {
+        super(`Missing required key "${key}".`, {
+            code: "MISSING_KEY",
+            path: [key]
+        });
+    }
+}
+
+/**
+ * Error when a key requires other keys that are missing.
+ */
+class MissingDependentKeysError extends ObjectSchemaError {
+
+    /**
+     * Creates a new instance.
+     * @param {string} key The key that was unexpected.
+     * @param {Array<string>} requiredKeys The keys that are required.
+     */
+    constructor(key, requiredKeys) {
+        super(`Key "${key}" requires keys "${requiredKeys.join("\", \"")}".`, {
+            code: "MISSING_DEPENDENT_KEYS",
+            path: [key]
+        });
+    }
+}
+
+/**
+ * Error when a key is used together with keys it conflicts with.
+ */
+class ConflictingKeysError extends ObjectSchemaError {
+
+    /**
+     * Creates a new instance.
+     * @param {string} key The key that has conflicts.
+     * @param {Array<string>} conflictingKeys The conflicting keys that were
+     *      found.
+     */
+    constructor(key, conflictingKeys) {
+        super(`Key "${key}" can't be used with keys "${conflictingKeys.join("\", \"")}".`, {
+            code: "CONFLICTING_KEYS",
+            path: [key]
+        });
+    }
+}
+
+/**
+ * Error when a group of keys doesn't contain exactly one key.
+ */
+class OneOfKeysError extends ObjectSchemaError {
+
+    /**
+     * Creates a new instance.
+     * @param {Array<string>} keys The keys in the group.
+     * @param {Array<string>} foundKeys The keys in the group that were found.
+     */
+    constructor(keys, foundKeys) {
+        const found = foundKeys.length
+            ? `, but found keys "${foundKeys.join("\", \"")}"`
+            : "";
+
+        super(`Exactly one of keys "${keys.join("\", \"")}" must be present${found}.`, {
+            code: "ONE_OF_KEYS",
+            path: []
+        });
+    }
+}
+
+/**
+ * Error when a key that is required based on other keys' values is missing.
+ */
+class MissingConditionalKeyError extends ObjectSchemaError {
+
+    /**
+     * Creates a new instance.
+     * @param {string} key The key that was missing.
+     */
+    constructor(key) {
+        super(`Missing key "${key}", which is required based on the values of other keys.`, {
+            code: "MISSING_CONDITIONAL_KEY",
+            path: [key]
+        });
+    }
+}
+
+/**
+ * Error when an object-level validate() method throws an error.
+ */
+class InvalidObjectError extends ObjectSchemaError {
+
+    /**
+     * Creates a new instance.
+     * @param {Error} source The error thrown by the validate() method. Other
+     *      thrown values are converted into strings for the message.
+     */
+    constructor(source) {
+        super(getMessage(source), {
+            code: "INVALID_OBJECT",
+            path: source instanceof ObjectSchemaError ? [...source.path] : [],
+            cause: source
+        });
+
+        /**
+         * The error thrown by the validate() method.
+         * @type {Error}
+         */
+        this.originalError = source;
+    }
+}
+
+/**
+ * Wrapper error for errors occuring during a merge or validate operation.
+ */
+class WrapperError extends ObjectSchemaError {
+
+    /**
+     * Creates a new instance.
+     * @param {string|number} key The object key or array index causing the
+     *      error.
+     * @param {Error} source The source error. Other thrown values are
+     *      converted into strings for the message.
+     */
+    constructor(key, source) {
+        const location = typeof key === "number" ? `Index ${key}` : `Key "${key}"`;
+
+        super(`${location}: ${getMessage(source)}`, {
+            code: "WRAPPER_ERROR",
+            path: [key, ...(source instanceof ObjectSchemaError ? source.path : [])],
+            cause: source
+        });
+
+        /**
+         * The error that was originally thrown, before any wrapping.
+         * @type {Error}
+         */
+        this.originalError = source instanceof WrapperError
+            ? source.originalError
+            : source;
+
+        /*
+         * Copy over custom properties that aren't represented. Properties
+         * such as `code` and `path` belong to this error, so the source's
+         * values are only available on `originalError`. Strings and other
+         * primitives don't have custom properties.
+         */
+        if (source && typeof source === "object") {
+            for (const key of Object.keys(source)) {
+                if (!(key in this)) {
+                    this[key] = source[key];
+                }
+            }
+        }
+    }
+}
+
+exports.ObjectSchemaError = ObjectSchemaError;
+exports.UnexpectedKeyError = UnexpectedKeyError;
+exports.MissingKeyError = MissingKeyError;
+exports.MissingDependentKeysError = MissingDependentKeysError;
+exports.ConflictingKeysError = ConflictingKeysError;
+exports.OneOfKeysError = OneOfKeysError;
+exports.MissingConditionalKeyError = MissingConditionalKeyError;
+exports.InvalidObjectError = InvalidObjectError;
+exports.WrapperError = WrapperError;
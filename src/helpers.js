@@ -0,0 +1,57 @@
+/**
+ * @filedescription Helpers
+ */
+
+"use strict";
+
+//-----------------------------------------------------------------------------
+// Functions
+//-----------------------------------------------------------------------------
+
+/**
+ * Determines if a value is a promise or other thenable.
+ * @param {*} value The value to check.
+ * @returns {boolean} True if the value is thenable, false if not.
+ */
+function isThenable(value) {
+    return Boolean(value) && typeof value.then === "function";
+}
+
+/**
+ * Creates a regular expression for testing values without the `g` and `y`
+ * flags, so it doesn't share `lastIndex` state with the caller's regular
+ * expression or remember it between tests.
+ * @param {RegExp|string} pattern The regular expression or its source.
+ * @returns {RegExp} A new regular expression.
+ */
+function createTestPattern(pattern) {
+    return pattern instanceof RegExp
+        ? new RegExp(pattern.source, pattern.flags.replace(/[gy]/g, ""))
+        : new RegExp(pattern);
+}
+
+/**
+ * Determines if a regular expression can be described by a JSON Schema
+ * `pattern`, which can't include flags. The `d`, `g`, and `y` flags don't
+ * change which strings match, and JSON Schema patterns already use Unicode
+ * semantics like the `u` flag.
+ * @param {RegExp} regex The regular expression to check.
+ * @returns {boolean} True if the regular expression can be described.
+ */
+function isDescribablePattern(regex) {
+    return !/[^dguy]/.test(regex.flags);
+}
+
+/**
+ * Escapes a key for use in a JSON Pointer.
+ * @param {string} key The key to escape.
+ * @returns {string} The escaped key.
+ */
+function escapePointer(key) {
+    return key.replace(/~/g, "~0").replace(/\//g, "~1");
+}
+
+exports.isThenable = isThenable;
+exports.createTestPattern = createTestPattern;
+exports.isDescribablePattern = isDescribablePattern;
+exports.escapePointer = escapePointer;
@@ -0,0 +1,528 @@
+/**
+ * @filedescription Object Schema Type Definitions
+ */
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+/**
+ * Flattens an intersection of object types into a single object type.
+ */
+type Simplify<T> = { [K in keyof T]: T[K] } & {};
+
+/**
+ * Converts a union of types into an intersection of those types.
+ */
+type UnionToIntersection<U> =
+    (U extends unknown ? (value: U) => void : never) extends (value: infer I) => void
+        ? I
+        : never;
+
+//-----------------------------------------------------------------------------
+// Strategies
+//-----------------------------------------------------------------------------
+
+/**
+ * Information passed to validate() and normalize() methods in definitions.
+ */
+export interface ValidationContext {
+
+    /**
+     * The key being validated or normalized.
+     */
+    key: string;
+
+    /**
+     * The entire object being validated or normalized.
+     */
+    object: Record<string, unknown>;
+
+    /**
+     * Reports a problem with the value that doesn't make it invalid.
+     */
+    warn(message: string): void;
+}
+
+/**
+ * A problem found during validation that doesn't make the object invalid.
+ */
+export interface ValidationWarning {
+
+    /**
+     * "DEPRECATED_KEY" for deprecated keys or "VALIDATION_WARNING" for
+     * warnings from validate() methods.
+     */
+    code: "DEPRECATED_KEY" | "VALIDATION_WARNING";
+
+    /**
+     * The keys and array indexes leading to the key with the problem.
+     */
+    path: Array<string | number>;
+
+    /**
+     * A description of the problem.
+     */
+    message: string;
+
+    /**
+     * The key that replaces a deprecated key, if any.
+     */
+    replacedBy?: string;
+}
+
+/**
+ * A method that combines the values of a key from two objects.
+ */
+export type MergeFunction = (value1: any, value2: any) => unknown;
+
+/**
+ * A method that throws an error when a value is invalid. It may return a
+ * promise when used with validateAsync().
+ */
+export type ValidateFunction = (value: any, context: ValidationContext) => void | Promise<void>;
+
+/**
+ * A method that converts a value before validation.
+ */
+export type NormalizeFunction = (value: any, context: Omit<ValidationContext, "warn">) => unknown;
+
+/**
+ * The names of the built-in merge strategies.
+ */
+export type BuiltInMergeStrategyName =
+    | "assign"
+    | "concat"
+    | "deepAssign"
+    | "mergeById"
+    | "overwrite"
+    | "prepend"
+    | "replace"
+    | "union";
+
+/**
+ * The type of value allowed by each built-in validation strategy.
+ */
+export interface BuiltInValidationTypes {
+    array: unknown[];
+    boolean: boolean;
+    integer: number;
+    number: number;
+    object: Record<string, unknown>;
+    "object?": Record<string, unknown> | null;
+    string: string;
+    "string!": string;
+}
+
+/**
+ * The names of the built-in validation strategies.
+ */
+export type BuiltInValidationStrategyName = keyof BuiltInValidationTypes;
+
+/**
+ * The names of the built-in normalization strategies.
+ */
+export type BuiltInNormalizationStrategyName =
+    | "array"
+    | "boolean"
+    | "number"
+    | "string"
+    | "trim";
+
+/**
+ * An object describing the checks to perform on a value.
+ */
+export interface ValidationOptions {
+    type?: ValidationSpecifier;
+    integer?: boolean;
+    min?: number;
+    max?: number;
+    minLength?: number;
+    maxLength?: number;
+    pattern?: RegExp | string;
+    oneOf?: readonly unknown[];
+    enum?: readonly unknown[];
+    arrayOf?: ValidationSpecifier;
+    schema?: NestedSchema;
+    nullable?: boolean;
+}
+
+/**
+ * The value of the validate property in a definition: a method, the name of
+ * a validation strategy (optionally followed by a question mark to allow
+ * null), validation options, or an array of alternatives.
+ */
+export type ValidationSpecifier =
+    | ValidateFunction
+    | BuiltInValidationStrategyName
+    | `${BuiltInValidationStrategyName}?`
+    | (string & {})
+    | ValidationOptions
+    | readonly ValidationSpecifier[];
+
+/**
+ * What to do with keys that don't have a definition.
+ */
+export type UnknownKeysPolicy = "strict" | "strip" | "passthrough";
+
+//-----------------------------------------------------------------------------
+// Definitions
+//-----------------------------------------------------------------------------
+
+/**
+ * A nested schema: definitions, an ObjectSchema, or a function that returns
+ * an ObjectSchema when the schema is first used.
+ */
+export type NestedSchema = Definitions | ObjectSchema<any> | (() => ObjectSchema<any>);
+
+/**
+ * The definition for a key in a schema.
+ */
+export interface Definition {
+    required?: boolean;
+    requires?: readonly string[];
+    conflicts?: readonly string[];
+    oneOf?: string;
+    requiredIf?: (object: Record<string, unknown>) => boolean;
+    merge?: MergeFunction | BuiltInMergeStrategyName | (string & {});
+    validate?: ValidationSpecifier;
+    normalize?: NormalizeFunction | BuiltInNormalizationStrategyName | (string & {})
+        | readonly (NormalizeFunction | BuiltInNormalizationStrategyName | (string & {}))[];
+    default?: unknown;
+    match?: RegExp | ((key: string) => boolean);
+    unknownKeys?: UnknownKeysPolicy;
+    jsonSchema?: Record<string, unknown>;
+    schema?: NestedSchema;
+    items?: NestedSchema;
+    itemKey?: string;
+    deprecated?: boolean | string | { message?: string; replacedBy?: string };
+}
+
+/**
+ * The definitions for each key in a schema.
+ */
+export type Definitions = Record<string, Definition>;
+
+//-----------------------------------------------------------------------------
+// Type Inference
+//-----------------------------------------------------------------------------
+
+/**
+ * The type of value allowed by validation options.
+ */
+type InferValidationOptions<O> = (
+    O extends { oneOf: readonly (infer E)[] } ? E
+        : O extends { enum: readonly (infer E)[] } ? E
+            : O extends { arrayOf: infer I } ? InferValidation<I>[]
+                : O extends { schema: infer S } ? InferSchema<S>
+                    : O extends { type: infer T } ? InferValidation<T>
+                        : O extends { integer: true } | { min: number } | { max: number } ? number
+                            : O extends { minLength: number } | { maxLength: number } | { pattern: RegExp | string } ? string
+                                : unknown
+) | (O extends { nullable: true } ? null : never);
+
+/**
+ * The type of value allowed by the validate property of a definition.
+ * Methods are only inferred when they are assertion functions.
+ */
+export type InferValidation<V> =
+    V extends readonly (infer A)[] ? InferValidation<A>
+        : V extends (value: any, ...args: any[]) => asserts value is infer T ? T
+            : V extends (...args: any[]) => unknown ? unknown
+                : V extends BuiltInValidationStrategyName ? BuiltInValidationTypes[V]
+                    : V extends `${infer N}?` ? (N extends BuiltInValidationStrategyName ? BuiltInValidationTypes[N] | null : unknown)
+                        : V extends string ? unknown
+                            : V extends ValidationOptions ? InferValidationOptions<V>
+                                : unknown;
+
+/**
+ * The type of object allowed by a nested schema.
+ */
+export type InferSchema<S> =
+    S extends ObjectSchema<infer T> ? T
+        : S extends () => ObjectSchema<infer T> ? T
+            : S extends Definitions ? InferObject<S>
+                : unknown;
+
+/**
+ * The type of value allowed by a definition.
+ */
+type InferValue<D> =
+    D extends { schema: infer S } ? InferSchema<S>
+        : D extends { items: infer S } ? InferSchema<S>[]
+            : D extends { validate: infer V } ? InferValidation<V>
+                : unknown;
+
+/**
+ * The keys in definitions that aren't patterns or the wildcard.
+ */
+type ExactKeys<D> = {
+    [K in Extract<keyof D, string>]: K extends "*" ? never : D[K] extends { match: RegExp | Function } ? never : K
+}[Extract<keyof D, string>];
+
+/**
+ * The exact keys in definitions that are required.
+ */
+type RequiredKeys<D> = {
+    [K in ExactKeys<D>]: D[K] extends { required: true } ? K : never
+}[ExactKeys<D>];
+
+/**
+ * The keys in definitions that are patterns or the wildcard.
+ */
+type PatternKeys<D> = Exclude<Extract<keyof D, string>, ExactKeys<D>>;
+
+/**
+ * The type of object allowed by definitions. Keys are optional unless their
+ * definitions are required, and pattern or wildcard definitions allow any
+ * other key.
+ */
+export type InferObject<D> = Simplify<
+    { [K in RequiredKeys<D>]: InferValue<D[K]> } &
+    { [K in Exclude<ExactKeys<D>, RequiredKeys<D>>]?: InferValue<D[K]> } &
+    ([PatternKeys<D>] extends [never] ? {} : { [key: string]: unknown })
+>;
+
+/**
+ * The type of object allowed by a schema.
+ */
+export type InferObjectSchema<S> = S extends ObjectSchema<infer T> ? T : never;
+
+//-----------------------------------------------------------------------------
+// Errors
+//-----------------------------------------------------------------------------
+
+/**
+ * The keys and array indexes leading to the location of an error.
+ */
+export type ErrorPath = Array<string | number>;
+
+/**
+ * Base class for all errors thrown while validating or merging objects.
+ */
+export declare class ObjectSchemaError extends Error {
+    constructor(message: string, options: { code: string; path: ErrorPath; cause?: unknown });
+    code: string;
+    path: ErrorPath;
+}
+
+/**
+ * Error when an unexpected key is found.
+ */
+export declare class UnexpectedKeyError extends ObjectSchemaError {
+    constructor(key: string);
+    code: "UNEXPECTED_KEY";
+}
+
+/**
+ * Error when a required key is missing.
+ */
+export declare class MissingKeyError extends ObjectSchemaError {
+    constructor(key: string);
+    code: "MISSING_KEY";
+}
+
+/**
+ * Error when a key requires other keys that are missing.
+ */
+export declare class MissingDependentKeysError extends ObjectSchemaError {
+    constructor(key: string, requiredKeys: readonly string[]);
+    code: "MISSING_DEPENDENT_KEYS";
+}
+
+/**
+ * Error when a key is used together with keys it conflicts with.
+ */
+export declare class ConflictingKeysError extends ObjectSchemaError {
+    constructor(key: string, conflictingKeys: readonly string[]);
+    code: "CONFLICTING_KEYS";
+}
+
+/**
+ * Error when a group of keys doesn't contain exactly one key.
+ */
+export declare class OneOfKeysError extends ObjectSchemaError {
+    constructor(keys: readonly string[], foundKeys: readonly string[]);
+    code: "ONE_OF_KEYS";
+}
+
+/**
+ * Error when a key that is required based on other keys' values is missing.
+ */
+export declare class MissingConditionalKeyError extends ObjectSchemaError {
+    constructor(key: string);
+    code: "MISSING_CONDITIONAL_KEY";
+}
+
+/**
+ * Error when an object-level validate() method throws an error.
+ */
+export declare class InvalidObjectError extends ObjectSchemaError {
+    constructor(source: Error);
+    code: "INVALID_OBJECT";
+    originalError: Error;
+}
+
+/**
+ * Wrapper error for errors occuring during a merge or validate operation.
+ */
+export declare class WrapperError extends ObjectSchemaError {
+    constructor(key: string | number, source: Error);
+    code: "WRAPPER_ERROR";
+    originalError: Error;
+}
+
+//-----------------------------------------------------------------------------
+// Strategy Classes
+//-----------------------------------------------------------------------------
+
+/**
+ * A validation strategy created from a factory, with a description of the
+ * values it allows.
+ */
+export interface DescribedValidation<T> {
+    (value: unknown, context?: ValidationContext): asserts value is T;
+    jsonSchema: Record<string, unknown>;
+}
+
+/**
+ * Container class for several different merge strategies.
+ */
+export declare class MergeStrategy {
+    static overwrite<T>(value1: unknown, value2: T): T;
+    static replace<T1, T2>(value1: T1, value2: T2): T2 extends undefined ? T1 : T2;
+    static assign<T1, T2>(value1: T1, value2: T2): T1 & T2;
+    static deepAssign<T1, T2>(value1: T1, value2: T2): T1 & T2;
+    static concat<T>(value1: readonly T[] | undefined, value2: readonly T[] | undefined): T[];
+    static prepend<T>(value1: readonly T[] | undefined, value2: readonly T[] | undefined): T[];
+    static union<T>(value1: readonly T[] | undefined, value2: readonly T[] | undefined): T[];
+    static unionBy<T>(identity: (item: T) => unknown): (value1: readonly T[] | undefined, value2: readonly T[] | undefined) => T[];
+    static mergeById<T>(value1: readonly T[] | undefined, value2: readonly T[] | undefined): T[];
+    static mergeByKey<T>(
+        key: string,
+        merger?: ((item1: T, item2: T) => T) | { merge(item1: T, item2: T): T }
+    ): (value1: readonly T[] | undefined, value2: readonly T[] | undefined) => T[];
+}
+
+/**
+ * Container class for several different validation strategies.
+ */
+export declare class ValidationStrategy {
+    static array(value: unknown): asserts value is unknown[];
+    static boolean(value: unknown): asserts value is boolean;
+    static integer(value: unknown): asserts value is number;
+    static number(value: unknown): asserts value is number;
+    static object(value: unknown): asserts value is Record<string, unknown>;
+    static "object?"(value: unknown): asserts value is Record<string, unknown> | null;
+    static string(value: unknown): asserts value is string;
+    static "string!"(value: unknown): asserts value is string;
+    static min(minimum: number): DescribedValidation<number>;
+    static max(maximum: number): DescribedValidation<number>;
+    static minLength(minLength: number): DescribedValidation<string>;
+    static maxLength(maxLength: number): DescribedValidation<string>;
+    static pattern(pattern: RegExp | string): DescribedValidation<string>;
+    static oneOf<const T extends readonly unknown[]>(values: T): DescribedValidation<T[number]>;
+    static arrayOf<V extends ValidateFunction>(validate: V): DescribedValidation<InferValidation<V>[]>;
+    static anyOf<V extends ValidateFunction>(validates: readonly V[]): DescribedValidation<InferValidation<V>>;
+    static nullable<V extends ValidateFunction>(validate: V): DescribedValidation<InferValidation<V> | null>;
+}
+
+/**
+ * Container class for several different normalization strategies.
+ */
+export declare class NormalizationStrategy {
+    static array<T>(value: T): T extends undefined ? undefined : T extends readonly unknown[] ? T : T[];
+    static boolean(value: unknown): unknown;
+    static number(value: unknown): unknown;
+    static string(value: unknown): unknown;
+    static trim<T>(value: T): T;
+}
+
+/**
+ * A collection of named merge, validation, and normalization strategies.
+ */
+export declare class StrategyRegistry {
+    constructor();
+    addMergeStrategy(name: string, merge: MergeFunction): this;
+    addValidationStrategy(name: string, validate: ValidateFunction): this;
+    addNormalizationStrategy(name: string, normalize: NormalizeFunction): this;
+    getMergeStrategy(name: string): MergeFunction | undefined;
+    getValidationStrategy(name: string): ValidateFunction | undefined;
+    getNormalizationStrategy(name: string): NormalizeFunction | undefined;
+    getMergeStrategyNames(): string[];
+    getValidationStrategyNames(): string[];
+    getNormalizationStrategyNames(): string[];
+}
+
+//-----------------------------------------------------------------------------
+// ObjectSchema
+//-----------------------------------------------------------------------------
+
+/**
+ * Options for an ObjectSchema.
+ */
+export interface ObjectSchemaOptions<T = Record<string, unknown>> {
+    unknownKeys?: UnknownKeysPolicy;
+    registry?: StrategyRegistry;
+    validate?: (object: T) => void | Promise<void>;
+    onWarning?: (warning: ValidationWarning) => void;
+}
+
+/**
+ * The result of validateAll().
+ */
+export interface ValidationResult {
+    valid: boolean;
+    errors: Array<{ path: ErrorPath; error: Error }>;
+    warnings: ValidationWarning[];
+}
+
+/**
+ * The result of mergeWithProvenance().
+ */
+export interface MergeWithProvenanceResult<T> {
+    result: T;
+
+    /**
+     * The labels of the objects that produced each key's value, keyed by the
+     * JSON Pointer to the key, such as "/options/parser".
+     */
+    provenance: Map<string, Array<string | number>>;
+}
+
+/**
+ * Represents an object validation/merging schema for objects of type T.
+ */
+export interface ObjectSchema<T extends object = Record<string, unknown>> {
+    keys(): string[];
+    getDefinition(key: string): Readonly<Definition> | undefined;
+    hasKey(key: string): boolean;
+    extend<const D extends Definitions>(definitions: D): ObjectSchema<Simplify<T & InferObject<D>>>;
+    pick<K extends string>(keys: readonly K[]): ObjectSchema<Simplify<Pick<T, Extract<K, keyof T>>>>;
+    omit<K extends string>(keys: readonly K[]): ObjectSchema<Simplify<Omit<T, K>>>;
+    merge(...objects: T[]): T;
+    mergeAsync(...objects: T[]): Promise<T>;
+    mergeWithProvenance(objects: readonly T[], options?: { labels?: ReadonlyArray<string | number> }): MergeWithProvenanceResult<T>;
+    applyDefaults(object: T): T;
+    normalize(object: Record<string, unknown>): Record<string, unknown>;
+    parse(object: unknown): T;
+    toJSONSchema(): Record<string, unknown>;
+    validate(object: unknown): void;
+    validateAsync(object: unknown): Promise<void>;
+    validateAll(object: unknown): ValidationResult;
+}
+
+/**
+ * The ObjectSchema class. The type of object allowed by a new schema is
+ * inferred from its definitions.
+ */
+export interface ObjectSchemaConstructor {
+    new <const D extends Definitions>(definitions: D, options?: ObjectSchemaOptions<InferObject<D>>): ObjectSchema<InferObject<D>>;
+    readonly prototype: ObjectSchema<any>;
+    fromJSONSchema(document: Record<string, unknown>): ObjectSchema;
+    combine<S extends readonly ObjectSchema<any>[]>(
+        ...schemas: S
+    ): ObjectSchema<Simplify<UnionToIntersection<InferObjectSchema<S[number]>>>>;
+}
+
+export declare const ObjectSchema: ObjectSchemaConstructor;
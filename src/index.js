@@ -5,3 +5,14 @@
 exports.ObjectSchema = require("./object-schema").ObjectSchema;
 exports.MergeStrategy = require("./merge-strategy").MergeStrategy;
 exports.ValidationStrategy = require("./validation-strategy").ValidationStrategy;
+exports.NormalizationStrategy = require("./normalization-strategy").NormalizationStrategy;
+exports.ObjectSchemaError = require("./errors").ObjectSchemaError;
+exports.UnexpectedKeyError = require("./errors").UnexpectedKeyError;
+exports.MissingKeyError = require("./errors").MissingKeyError;
+exports.MissingDependentKeysError = require("./errors").MissingDependentKeysError;
+exports.ConflictingKeysError = require("./errors").ConflictingKeysError;
+exports.OneOfKeysError = require("./errors").OneOfKeysError;
+exports.MissingConditionalKeyError = require("./errors").MissingConditionalKeyError;
+exports.InvalidObjectError = require("./errors").InvalidObjectError;
+exports.WrapperError = require("./errors").WrapperError;
+exports.StrategyRegistry = require("./strategy-registry").StrategyRegistry;
@@ -0,0 +1,34 @@
+/**
+ * @filedescription Object Schema Package (ES Module)
+ *
+ * Re-exports the CommonJS implementation so that both entry points share the
+ * same classes. Errors thrown by a schema imported one way are then
+ * instances of the error classes imported the other way.
+ */
+
+//-----------------------------------------------------------------------------
+// Requirements
+//-----------------------------------------------------------------------------
+
+import objectSchema from "./index.js";
+
+//-----------------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------------
+
+export const {
+    ObjectSchema,
+    MergeStrategy,
+    ValidationStrategy,
+    NormalizationStrategy,
+    ObjectSchemaError,
+    UnexpectedKeyError,
+    MissingKeyError,
+    MissingDependentKeysError,
+    ConflictingKeysError,
+    OneOfKeysError,
+    MissingConditionalKeyError,
+    InvalidObjectError,
+    WrapperError,
+    StrategyRegistry
+} = objectSchema;
@@ -0,0 +1,513 @@
+/**
+ * @filedescription JSON Schema Helpers
+ */
+
+"use strict";
+
+//-----------------------------------------------------------------------------
+// Requirements
+//-----------------------------------------------------------------------------
+
+const { ValidationStrategy } = require("./validation-strategy");
+const { WrapperError } = require("./errors");
+const { escapePointer } = require("./helpers");
+
+//-----------------------------------------------------------------------------
+// Data
+//-----------------------------------------------------------------------------
+
+/**
+ * The JSON Schema dialect used for generated documents.
+ * @type {string}
+ */
+const dialect = "https://json-schema.org/draft/2020-12/schema";
+
+/**
+ * Keywords that don't affect validation and are ignored when creating
+ * definitions from a JSON Schema.
+ * @type {Set<string>}
+ */
+const annotationKeywords = new Set([
+    "$schema",
+    "$id",
+    "$comment",
+    "title",
+    "description",
+    "examples",
+    "deprecated",
+    "readOnly",
+    "writeOnly"
+]);
+
+/**
+ * Keywords that describe an object's keys.
+ * @type {Set<string>}
+ */
+const objectKeywords = new Set([
+    "type",
+    "properties",
+    "required",
+    "dependentRequired",
+    "additionalProperties",
+    "patternProperties",
+    "default"
+]);
+
+/**
+ * Keywords that can be turned into validation checks for a value.
+ * @type {Set<string>}
+ */
+const valueKeywords = new Set([
+    "type",
+    "enum",
+    "const",
+    "minLength",
+    "maxLength",
+    "pattern",
+    "minimum",
+    "maximum",
+    "exclusiveMinimum",
+    "exclusiveMaximum",
+    "minItems",
+    "maxItems",
+    "items",
+    "anyOf",
+    "default"
+]);
+
+/**
+ * Checks for each JSON Schema type.
+ * @type {Object<string,Function>}
+ */
+const typeChecks = {
+    array: value => Array.isArray(value),
+    boolean: value => typeof value === "boolean",
+    integer: value => Number.isInteger(value),
+    null: value => value === null,
+    number: value => typeof value === "number",
+    object: value => Boolean(value) && typeof value === "object" && !Array.isArray(value),
+    string: value => typeof value === "string"
+};
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+/**
+ * Determines if a JSON Schema describes an object that should become a
+ * subschema.
+ * @param {Object} schema The JSON Schema to check.
+ * @returns {boolean} True if the schema describes an object.
+ */
+function isObjectSchema(schema) {
+    return Boolean(schema) &&
+        typeof schema === "object" &&
+        (schema.type === "object" || (!("type" in schema) && "properties" in schema));
+}
+
+/**
+ * Records any keywords in a JSON Schema that aren't supported.
+ * @param {Object} schema The JSON Schema to check.
+ * @param {Set<string>} supported The supported keywords.
+ * @param {string} pointer The JSON Pointer to the schema.
+ * @param {Array<string>} unsupported The list of unsupported keywords.
+ * @returns {void}
+ */
+function findUnsupportedKeywords(schema, supported, pointer, unsupported) {
+    for (const keyword of Object.keys(schema)) {
+        if (!supported.has(keyword) && !annotationKeywords.has(keyword)) {
+            unsupported.push(`"${keyword}" at "${pointer}"`);
+        }
+    }
+}
+
+/**
+ * Creates a validate() method from a JSON Schema. Schemas describing
+ * objects are validated by an ObjectSchema created from their keywords.
+ * @param {Object|boolean} schema The JSON Schema for the value.
+ * @param {string} pointer The JSON Pointer to the schema.
+ * @param {Array<string>} unsupported The list of unsupported keywords.
+ * @param {Function} createSchema Creates an ObjectSchema from definitions
+ *      and an unknown key policy.
+ * @returns {Function} A validate() method that throws when the value
+ *      doesn't match the schema.
+ */
+function createSubschemaValidator(schema, pointer, unsupported, createSchema) {
+
+    if (!isObjectSchema(schema)) {
+        return createValidator(schema, pointer, unsupported, createSchema);
+    }
+
+    const { definitions, unknownKeys } = createDefinitions(schema, pointer, unsupported, createSchema);
+    const objectSchema = createSchema(definitions, unknownKeys);
+
+    return value => {
+        if (!typeChecks.object(value)) {
+            throw new TypeError("Expected a value of type \"object\".");
+        }
+
+        objectSchema.validate(value);
+    };
+}
+
+/**
+ * Creates a validate() method from the value keywords in a JSON Schema.
+ * @param {Object|boolean} schema The JSON Schema for the value.
+ * @param {string} pointer The JSON Pointer to the schema.
+ * @param {Array<string>} unsupported The list of unsupported keywords.
+ * @param {Function} createSchema Creates an ObjectSchema from definitions
+ *      and an unknown key policy.
+ * @returns {Function} A validate() method that throws when the value
+ *      doesn't match the schema.
+ * @throws {TypeError} If the schema isn't an object or boolean.
+ */
+function createValidator(schema, pointer, unsupported, createSchema) {
+
+    if (typeof schema === "object" && schema !== null) {
+        findUnsupportedKeywords(schema, valueKeywords, pointer, unsupported);
+    } else if (typeof schema !== "boolean") {
+        throw new TypeError(`JSON Schema at "${pointer}" must be an object or boolean.`);
+    }
+
+    if (schema === true) {
+        return () => {};
+    }
+
+    if (schema === false) {
+        return () => {
+            throw new TypeError("Expected no value.");
+        };
+    }
+
+    const checks = [];
+
+    if ("type" in schema) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        const unknownType = types.find(type => !(type in typeChecks));
+
+        if (unknownType) {
+            throw new TypeError(`Unsupported JSON Schema type "${unknownType}".`);
+        }
+
+        checks.push(value => {
+            if (!types.some(type => typeChecks[type](value))) {
+                throw new TypeError(`Expected a value of type ${types.map(type => `"${type}"`).join(" or ")}.`);
+            }
+        });
+    }
+
+    if ("enum" in schema) {
+        const serialized = schema.enum.map(value => JSON.stringify(value));
+        checks.push(value => {
+            if (!serialized.includes(JSON.stringify(value))) {
+                throw new TypeError(`Expected one of ${serialized.join(", ")}.`);
+            }
+        });
+    }
+
+    if ("const" in schema) {
+        const serialized = JSON.stringify(schema.const);
+        checks.push(value => {
+            if (JSON.stringify(value) !== serialized) {
+                throw new TypeError(`Expected ${serialized}.`);
+            }
+        });
+    }
+
+    if ("minLength" in schema) {
+        checks.push(value => {
+            if (typeof value === "string" && value.length < schema.minLength) {
+                throw new TypeError(`Expected a string with at least ${schema.minLength} characters.`);
+            }
+        });
+    }
+
+    if ("maxLength" in schema) {
+        checks.push(value => {
+            if (typeof value === "string" && value.length > schema.maxLength) {
+                throw new TypeError(`Expected a string with at most ${schema.maxLength} characters.`);
+            }
+        });
+    }
+
+    if ("pattern" in schema) {
+        const pattern = new RegExp(schema.pattern);
+        checks.push(value => {
+            if (typeof value === "string" && !pattern.test(value)) {
+                throw new TypeError(`Expected a string matching ${pattern}.`);
+            }
+        });
+    }
+
+    if ("minimum" in schema) {
+        checks.push(value => {
+            if (typeof value === "number" && value < schema.minimum) {
+                throw new TypeError(`Expected a number greater than or equal to ${schema.minimum}.`);
+            }
+        });
+    }
+
+    if ("maximum" in schema) {
+        checks.push(value => {
+            if (typeof value === "number" && value > schema.maximum) {
+                throw new TypeError(`Expected a number less than or equal to ${schema.maximum}.`);
+            }
+        });
+    }
+
+    if ("exclusiveMinimum" in schema) {
+        checks.push(value => {
+            if (typeof value === "number" && value <= schema.exclusiveMinimum) {
+                throw new TypeError(`Expected a number greater than ${schema.exclusiveMinimum}.`);
+            }
+        });
+    }
+
+    if ("exclusiveMaximum" in schema) {
+        checks.push(value => {
+            if (typeof value === "number" && value >= schema.exclusiveMaximum) {
+                throw new TypeError(`Expected a number less than ${schema.exclusiveMaximum}.`);
+            }
+        });
+    }
+
+    if ("minItems" in schema) {
+        checks.push(value => {
+            if (Array.isArray(value) && value.length < schema.minItems) {
+                throw new TypeError(`Expected an array with at least ${schema.minItems} items.`);
+            }
+        });
+    }
+
+    if ("maxItems" in schema) {
+        checks.push(value => {
+            if (Array.isArray(value) && value.length > schema.maxItems) {
+                throw new TypeError(`Expected an array with at most ${schema.maxItems} items.`);
+            }
+        });
+    }
+
+    if ("items" in schema) {
+        const validateItem = createSubschemaValidator(schema.items, `${pointer}/items`, unsupported, createSchema);
+        checks.push(value => {
+            if (Array.isArray(value)) {
+                value.forEach((item, index) => {
+                    try {
+                        validateItem(item);
+                    } catch (ex) {
+                        throw new WrapperError(index, ex);
+                    }
+                });
+            }
+        });
+    }
+
+    if ("anyOf" in schema) {
+        if (!Array.isArray(schema.anyOf)) {
+            throw new TypeError(`JSON Schema at "${pointer}/anyOf" must be an array.`);
+        }
+
+        checks.push(ValidationStrategy.anyOf(schema.anyOf.map(
+            (alternative, index) => createSubschemaValidator(alternative, `${pointer}/anyOf/${index}`, unsupported, createSchema)
+        )));
+    }
+
+    return value => {
+        for (const check of checks) {
+            check(value);
+        }
+    };
+}
+
+/**
+ * Creates a default value for a definition. Objects and arrays are
+ * created fresh each time so merged objects don't share them.
+ * @param {*} value The default value from the JSON Schema.
+ * @returns {*} The default value or a function that creates it.
+ */
+function createDefault(value) {
+    return value && typeof value === "object"
+        ? () => cloneJSON(value)
+        : value;
+}
+
+/**
+ * Creates a definition for a key from a JSON Schema.
+ * @param {Object|boolean} schema The JSON Schema for the key's value.
+ * @param {string} pointer The JSON Pointer to the schema.
+ * @param {Array<string>} unsupported The list of unsupported keywords.
+ * @param {Function} createSchema Creates an ObjectSchema from definitions
+ *      and an unknown key policy.
+ * @returns {Object} The definition for the key.
+ */
+function createDefinition(schema, pointer, unsupported, createSchema) {
+
+    if (isObjectSchema(schema)) {
+        const { definitions, unknownKeys } = createDefinitions(schema, pointer, unsupported, createSchema);
+        const definition = { schema: definitions, unknownKeys };
+
+        if ("default" in schema) {
+            definition.default = createDefault(schema.default);
+        }
+
+        if (schema.deprecated === true) {
+            definition.deprecated = true;
+        }
+
+        return definition;
+    }
+
+    const definition = {
+        merge: "replace",
+        validate: createValidator(schema, pointer, unsupported, createSchema),
+        jsonSchema: typeof schema === "object" ? cloneJSON(schema) : {}
+    };
+
+    if (schema === false) {
+        definition.jsonSchema = { not: {} };
+    }
+
+    if (typeof schema === "object" && "default" in schema) {
+        definition.default = createDefault(schema.default);
+    }
+
+    if (typeof schema === "object" && schema.deprecated === true) {
+        definition.deprecated = true;
+    }
+
+    return definition;
+}
+
+/**
+ * Creates the definitions for an object's keys from a JSON Schema.
+ * @param {Object} schema The JSON Schema describing the object.
+ * @param {string} pointer The JSON Pointer to the schema.
+ * @param {Array<string>} unsupported The list of unsupported keywords.
+ * @param {Function} createSchema Creates an ObjectSchema from definitions
+ *      and an unknown key policy.
+ * @returns {{definitions:Object,unknownKeys:string}} The definitions and
+ *      the unknown key policy for the object.
+ */
+function createDefinitions(schema, pointer, unsupported, createSchema) {
+    const definitions = {};
+    const properties = schema.properties || {};
+    const required = new Set(schema.required || []);
+    const dependentRequired = schema.dependentRequired || {};
+
+    findUnsupportedKeywords(schema, objectKeywords, pointer, unsupported);
+
+    for (const key of Object.keys(properties)) {
+        definitions[key] = createDefinition(
+            properties[key],
+            `${pointer}/properties/${escapePointer(key)}`,
+            unsupported,
+            createSchema
+        );
+    }
+
+    // required keys don't always have their own schema
+    for (const key of required) {
+        if (!definitions[key]) {
+            definitions[key] = createDefinition(true, `${pointer}/required`, unsupported, createSchema);
+        }
+
+        // a default could never be used because the key must be present
+        definitions[key].required = true;
+        delete definitions[key].default;
+    }
+
+    for (const key of Object.keys(dependentRequired)) {
+        if (!definitions[key]) {
+            definitions[key] = createDefinition(true, `${pointer}/dependentRequired`, unsupported, createSchema);
+        }
+
+        definitions[key].requires = [...dependentRequired[key]];
+    }
+
+    for (const pattern of Object.keys(schema.patternProperties || {})) {
+        definitions[pattern] = {
+            ...createDefinition(
+                schema.patternProperties[pattern],
+                `${pointer}/patternProperties/${escapePointer(pattern)}`,
+                unsupported,
+                createSchema
+            ),
+            match: new RegExp(pattern)
+        };
+
+        delete definitions[pattern].default;
+    }
+
+    let unknownKeys = "passthrough";
+
+    if (schema.additionalProperties === false) {
+        unknownKeys = "strict";
+    } else if (schema.additionalProperties && typeof schema.additionalProperties === "object") {
+        definitions["*"] = createDefinition(
+            schema.additionalProperties,
+            `${pointer}/additionalProperties`,
+            unsupported,
+            createSchema
+        );
+
+        delete definitions["*"].default;
+    }
+
+    return { definitions, unknownKeys };
+}
+
+//-----------------------------------------------------------------------------
+// Functions
+//-----------------------------------------------------------------------------
+
+/**
+ * Creates a deep copy of a JSON-compatible value.
+ * @param {*} value The value to copy.
+ * @returns {*} The copied value.
+ */
+function cloneJSON(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Creates a JSON Schema describing a validation strategy using the
+ * strategy's `jsonSchema` property. Validation strategies without a
+ * `jsonSchema` property produce an empty schema, which allows any value.
+ * @param {Function} validate The validation strategy.
+ * @returns {Object} The JSON Schema for the validation strategy.
+ */
+function validationToJSONSchema(validate) {
+    return validate.jsonSchema ? cloneJSON(validate.jsonSchema) : {};
+}
+
+/**
+ * Creates the definitions for an ObjectSchema from a JSON Schema document.
+ * @param {Object} document The JSON Schema document describing an object.
+ * @param {Function} createSchema Creates an ObjectSchema from definitions
+ *      and an unknown key policy, used to validate objects inside of
+ *      `items` and `anyOf`.
+ * @returns {{definitions:Object,unknownKeys:string}} The definitions and
+ *      the unknown key policy for the object.
+ * @throws {TypeError} If the document doesn't describe an object.
+ * @throws {TypeError} If the document contains unsupported keywords.
+ */
+function jsonSchemaToDefinitions(document, createSchema) {
+
+    if (!isObjectSchema(document)) {
+        throw new TypeError("JSON Schema must describe an object.");
+    }
+
+    const unsupported = [];
+    const result = createDefinitions(document, "#", unsupported, createSchema);
+
+    if (unsupported.length) {
+        throw new TypeError(`Unsupported JSON Schema keywords: ${unsupported.join(", ")}.`);
+    }
+
+    return result;
+}
+
+exports.dialect = dialect;
+exports.cloneJSON = cloneJSON;
+exports.validationToJSONSchema = validationToJSONSchema;
+exports.jsonSchemaToDefinitions = jsonSchemaToDefinitions;
@@ -4,6 +4,76 @@
 
 "use strict";
 
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+/**
+ * Keys that are never copied while deep merging to prevent prototype
+ * pollution.
+ * @type {Set<string>}
+ */
+const unsafeKeys = new Set(["__proto__", "constructor", "prototype"]);
+
+/**
+ * Determines if a value is a plain object (not an array or class instance).
+ * @param {*} value The value to check.
+ * @returns {boolean} True if the value is a plain object, false if not.
+ */
+function isPlainObject(value) {
+    if (!value || typeof value !== "object") {
+        return false;
+    }
+
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Recursively copies the properties of a plain object into another plain
+ * object, merging any plain objects found on both.
+ * @param {Object} target The object to copy properties into.
+ * @param {Object} source The object to copy properties from.
+ * @param {Map<Object,Object>} ancestors The source objects currently being
+ *      copied and the target objects they're being copied into. Only these
+ *      form circular references, so other objects that appear more than
+ *      once each get their own copy.
+ * @returns {Object} The target object.
+ */
+function deepMerge(target, source, ancestors) {
+    ancestors.set(source, target);
+
+    for (const key of Object.keys(source)) {
+        if (unsafeKeys.has(key)) {
+            continue;
+        }
+
+        const value = source[key];
+
+        if (!isPlainObject(value)) {
+            target[key] = value;
+        } else if (ancestors.has(value)) {
+            target[key] = ancestors.get(value);
+        } else {
+            const existing = isPlainObject(target[key]) ? target[key] : {};
+            target[key] = deepMerge(existing, value, ancestors);
+        }
+    }
+
+    ancestors.delete(source);
+    return target;
+}
+
+/**
+ * Normalizes a value being merged as an array so that missing values are
+ * treated as empty arrays.
+ * @param {Array|undefined} value The value to normalize.
+ * @returns {Array} The array to merge.
+ */
+function toArray(value) {
+    return typeof value === "undefined" ? [] : value;
+}
+
 //-----------------------------------------------------------------------------
 // Class
 //-----------------------------------------------------------------------------
@@ -48,6 +118,146 @@ class MergeStrategy {
     static assign(value1, value2) {
         return Object.assign({}, value1, value2);
     }
+
+    /**
+     * Merges two properties by recursively assigning properties from the
+     * second to the first. Plain objects found in both values are merged
+     * while arrays and class instances are assigned as-is. When either
+     * value isn't a plain object, the values are merged like replace().
+     * @param {*} value1 The value from the first object key.
+     * @param {*} value2 The value from the second object key.
+     * @returns {*} A new object containing properties from both value1 and
+     *      value2, or the value that replaced the other.
+     */
+    static deepAssign(value1, value2) {
+
+        // only plain objects can be merged, so other values are kept as-is
+        if (value2 !== undefined && !isPlainObject(value2)) {
+            return value2;
+        }
+
+        if (value2 === undefined && value1 !== undefined && !isPlainObject(value1)) {
+            return value1;
+        }
+
+        const result = {};
+
+        for (const value of [value1, value2]) {
+            if (isPlainObject(value)) {
+                deepMerge(result, value, new Map());
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Merges two arrays by appending the items from the second to the first.
+     * @param {Array} value1 The value from the first object key.
+     * @param {Array} value2 The value from the second object key.
+     * @returns {Array} A new array containing items from value1 followed by
+     *      items from value2.
+     */
+    static concat(value1, value2) {
+        return [...toArray(value1), ...toArray(value2)];
+    }
+
+    /**
+     * Merges two arrays by prepending the items from the second to the first.
+     * @param {Array} value1 The value from the first object key.
+     * @param {Array} value2 The value from the second object key.
+     * @returns {Array} A new array containing items from value2 followed by
+     *      items from value1.
+     */
+    static prepend(value1, value2) {
+        return [...toArray(value2), ...toArray(value1)];
+    }
+
+    /**
+     * Merges two arrays by appending the items from the second to the first
+     * and removing duplicate items.
+     * @param {Array} value1 The value from the first object key.
+     * @param {Array} value2 The value from the second object key.
+     * @returns {Array} A new array containing the unique items from value1
+     *      and value2.
+     */
+    static union(value1, value2) {
+        return [...new Set([...toArray(value1), ...toArray(value2)])];
+    }
+
+    /**
+     * Creates a merge strategy that merges two arrays by appending the items
+     * from the second to the first and removing items with the same identity.
+     * @param {Function} identity A function that accepts an item and returns
+     *      the value used to determine if two items are duplicates.
+     * @returns {Function} A merge strategy that keeps the first item with
+     *      each identity.
+     */
+    static unionBy(identity) {
+        return (value1, value2) => {
+            const seen = new Set();
+
+            return [...toArray(value1), ...toArray(value2)].filter(item => {
+                const id = identity(item);
+
+                if (seen.has(id)) {
+                    return false;
+                }
+
+                seen.add(id);
+                return true;
+            });
+        };
+    }
+
+    /**
+     * Merges two arrays of objects by combining objects with the same `id`
+     * property using `assign()`. Items without an `id` are appended.
+     * @param {Array} value1 The value from the first object key.
+     * @param {Array} value2 The value from the second object key.
+     * @returns {Array} A new array containing the merged items.
+     */
+    static mergeById(value1, value2) {
+        return MergeStrategy.mergeByKey("id")(value1, value2);
+    }
+
+    /**
+     * Creates a merge strategy that merges two arrays of objects by
+     * combining objects with the same value for a given property. Items
+     * without the property are appended.
+     * @param {string} key The property that identifies each object.
+     * @param {Function|ObjectSchema} [merger] A function or schema used to
+     *      combine two objects with the same identity. Defaults to `assign()`.
+     * @returns {Function} A merge strategy that combines matching objects.
+     */
+    static mergeByKey(key, merger = MergeStrategy.assign) {
+        const combine = typeof merger === "function"
+            ? merger
+            : (item1, item2) => merger.merge(item1, item2);
+
+        return (value1, value2) => {
+            const result = [];
+            const indexes = new Map();
+
+            for (const item of [...toArray(value1), ...toArray(value2)]) {
+                const id = item && typeof item === "object" ? item[key] : undefined;
+
+                if (typeof id !== "undefined" && indexes.has(id)) {
+                    const index = indexes.get(id);
+                    result[index] = combine(result[index], item);
+                    continue;
+                }
+
+                if (typeof id !== "undefined") {
+                    indexes.set(id, result.length);
+                }
+
+                result.push(item);
+            }
+
+            return result;
+        };
+    }
 }
 
 exports.MergeStrategy = MergeStrategy;
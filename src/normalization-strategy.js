@@ -0,0 +1,89 @@
+/**
+ * @filedescription Normalization Strategy
+ */
+
+"use strict";
+
+//-----------------------------------------------------------------------------
+// Class
+//-----------------------------------------------------------------------------
+
+/**
+ * Container class for several different normalization strategies. Each
+ * strategy returns the value it can't convert unchanged so that validation
+ * can report the problem.
+ */
+class NormalizationStrategy {
+
+    /**
+     * Wraps a value that isn't an array in an array.
+     * @param {*} value The value to normalize.
+     * @returns {*} The normalized value.
+     */
+    static array(value) {
+        if (value === undefined || Array.isArray(value)) {
+            return value;
+        }
+
+        return [value];
+    }
+
+    /**
+     * Converts the strings "true" and "false" into Booleans.
+     * @param {*} value The value to normalize.
+     * @returns {*} The normalized value.
+     */
+    static boolean(value) {
+        if (value === "true") {
+            return true;
+        }
+
+        if (value === "false") {
+            return false;
+        }
+
+        return value;
+    }
+
+    /**
+     * Converts numeric strings into numbers.
+     * @param {*} value The value to normalize.
+     * @returns {*} The normalized value.
+     */
+    static number(value) {
+        if (typeof value === "string" && value.trim() !== "") {
+            const number = Number(value);
+
+            if (!Number.isNaN(number)) {
+                return number;
+            }
+        }
+
+        return value;
+    }
+
+    /**
+     * Converts numbers and Booleans into strings.
+     * @param {*} value The value to normalize.
+     * @returns {*} The normalized value.
+     */
+    static string(value) {
+        if (typeof value === "number" || typeof value === "boolean") {
+            return String(value);
+        }
+
+        return value;
+    }
+
+    /**
+     * Removes leading and trailing whitespace from strings.
+     * @param {*} value The value to normalize.
+     * @returns {*} The normalized value.
+     */
+    static trim(value) {
+        return typeof value === "string" ? value.trim() : value;
+    }
+
+}
+
+exports.NormalizationStrategy = NormalizationStrategy;
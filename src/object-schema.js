@@ -8,15 +8,157 @@
 // Requirements
 //-----------------------------------------------------------------------------
 
+const { isDeepStrictEqual } = require("util");
 const { MergeStrategy } = require("./merge-strategy");
 const { ValidationStrategy } = require("./validation-strategy");
+const { StrategyRegistry, createDefaultRegistry } = require("./strategy-registry");
+const {
+    isThenable,
+    createTestPattern,
+    isDescribablePattern,
+    escapePointer
+} = require("./helpers");
+const {
+    dialect,
+    cloneJSON,
+    validationToJSONSchema,
+    jsonSchemaToDefinitions
+} = require("./json-schema");
+const {
+    UnexpectedKeyError,
+    MissingKeyError,
+    MissingDependentKeysError,
+    ConflictingKeysError,
+    OneOfKeysError,
+    MissingConditionalKeyError,
+    InvalidObjectError,
+    WrapperError
+} = require("./errors");
 
 //-----------------------------------------------------------------------------
 // Private
 //-----------------------------------------------------------------------------
 
 const strategies = Symbol("strategies");
+const normalizedDefinitions = Symbol("normalizedDefinitions");
+const originalDefinitions = Symbol("originalDefinitions");
+const createSchema = Symbol("createSchema");
+const checkKeys = Symbol("checkKeys");
+const schemaOptions = Symbol("schemaOptions");
 const requiredKeys = Symbol("requiredKeys");
+const keyGroups = Symbol("keyGroups");
+const objectValidator = Symbol("objectValidator");
+const warningHandler = Symbol("warningHandler");
+const patternStrategies = Symbol("patternStrategies");
+const wildcardStrategy = Symbol("wildcardStrategy");
+const subschema = Symbol("subschema");
+const itemSchema = Symbol("itemSchema");
+const mergeItemsAsync = Symbol("mergeItemsAsync");
+const asyncValidation = Symbol("asyncValidation");
+const getStrategy = Symbol("getStrategy");
+const validationErrors = Symbol("validationErrors");
+const keyValidationErrors = Symbol("keyValidationErrors");
+const validationErrorsAsync = Symbol("validationErrorsAsync");
+const mergeObjects = Symbol("mergeObjects");
+const describeObject = Symbol("describeObject");
+
+const unknownKeyPolicies = new Set(["strict", "strip", "passthrough"]);
+
+/**
+ * Validation options that create a validation strategy from their value.
+ * @type {Map<string,Function>}
+ */
+const parameterizedValidations = new Map([
+    ["min", ValidationStrategy.min],
+    ["max", ValidationStrategy.max],
+    ["minLength", ValidationStrategy.minLength],
+    ["maxLength", ValidationStrategy.maxLength],
+    ["pattern", ValidationStrategy.pattern],
+    ["oneOf", ValidationStrategy.oneOf],
+    ["enum", ValidationStrategy.oneOf]
+]);
+
+/**
+ * Checks for the values of validation options and a description of the
+ * values each option allows.
+ * @type {Map<string,{check:Function,description:string}>}
+ */
+const validationOptionValues = new Map([
+    ["integer", { check: value => typeof value === "boolean", description: "a Boolean" }],
+    ["nullable", { check: value => typeof value === "boolean", description: "a Boolean" }],
+    ["min", { check: value => typeof value === "number", description: "a number" }],
+    ["max", { check: value => typeof value === "number", description: "a number" }],
+    ["minLength", { check: value => Number.isInteger(value) && value >= 0, description: "a non-negative integer" }],
+    ["maxLength", { check: value => Number.isInteger(value) && value >= 0, description: "a non-negative integer" }],
+    ["pattern", { check: value => value instanceof RegExp || typeof value === "string", description: "a regular expression or string" }],
+    ["oneOf", { check: Array.isArray, description: "an array" }],
+    ["enum", { check: Array.isArray, description: "an array" }],
+    ["schema", { check: value => Boolean(value) && (typeof value === "object" || typeof value === "function"), description: "an object or function" }]
+]);
+
+/**
+ * The registry used by schemas that aren't passed their own registry.
+ * It is never exposed so only the built-in strategies and those added
+ * directly to the strategy classes can be found in it.
+ * @type {StrategyRegistry}
+ */
+const defaultRegistry = createDefaultRegistry();
+
+/**
+ * Calculates the number of single-character edits needed to turn one
+ * string into another.
+ * @param {string} a The first string.
+ * @param {string} b The second string.
+ * @returns {number} The edit distance between the strings.
+ */
+function getEditDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+/**
+ * Creates the message for a definition that refers to an unknown named
+ * strategy, suggesting a similar name if there is one.
+ * @param {string} key The name of the key the definition is for.
+ * @param {string} type The type of strategy: "merge", "validation", or
+ *      "normalization".
+ * @param {string} name The unknown strategy name.
+ * @param {Array<string>} names The known strategy names.
+ * @returns {string} The error message.
+ */
+function createUnknownStrategyMessage(key, type, name, names) {
+    const maxDistance = Math.max(2, Math.floor(name.length / 3));
+    let suggestion;
+    let suggestionDistance = Infinity;
+
+    for (const candidate of names) {
+        const distance = getEditDistance(name.toLowerCase(), candidate.toLowerCase());
+
+        if (distance <= maxDistance && distance < suggestionDistance) {
+            suggestion = candidate;
+            suggestionDistance = distance;
+        }
+    }
+
+    const message = `Definition for key "${key}" missing valid ${type} strategy: "${name}" is not a known ${type} strategy.`;
+
+    return suggestion ? `${message} Did you mean "${suggestion}"?` : message;
+}
 
 /**
  * Validates a schema strategy.
@@ -25,273 +167,1848 @@ const requiredKeys = Symbol("requiredKeys");
  * @param {boolean} [strategy.required=true] Whether the key is required.
  * @param {string[]} [strategy.requires] Other keys that are required when
  *      this key is present.
+ * @param {string[]} [strategy.conflicts] Other keys that can't be present
+ *      when this key is present.
+ * @param {string} [strategy.oneOf] The name of a group of keys where exactly
+ *      one key must be present.
+ * @param {Function} [strategy.requiredIf] A function that receives the object
+ *      being validated and returns true when this key is required.
  * @param {Function} strategy.merge A method to call when merging two objects
  *      with the same key.
- * @param {Function} strategy.validate A method to call when validating an
- *      object with the key.
+ * @param {Function|string|Object|Array} strategy.validate A method to call
+ *      when validating an object with the key, the name of a validation
+ *      strategy, an object describing the checks to perform, or an array of
+ *      alternatives. A method receives the value and a context object with
+ *      the key and the entire object being validated.
+ * @param {*} [strategy.default] The value to use when the key is missing.
+ *      If a function, it is called to create the value.
+ * @param {RegExp|Function} [strategy.match] A pattern or predicate that
+ *      determines which keys this strategy applies to.
+ * @param {string} [strategy.unknownKeys] The unknown key policy for the
+ *      subschema, if different from the parent schema.
+ * @param {Object} [strategy.jsonSchema] A JSON Schema describing the values
+ *      allowed by the validate() method.
+ * @param {Object|ObjectSchema|Function} [strategy.schema] Definitions for
+ *      an object value, an ObjectSchema, or a function that returns an
+ *      ObjectSchema when the schema is first used.
+ * @param {Object|ObjectSchema|Function} [strategy.items] Definitions for the
+ *      objects in an array value, an ObjectSchema, or a function that returns
+ *      an ObjectSchema when the schema is first used.
+ * @param {string} [strategy.itemKey] The property used to match objects
+ *      when merging arrays with items definitions. If not specified, objects
+ *      are merged by position.
+ * @param {Function|string|Array} [strategy.normalize] A method to call to
+ *      convert the value before validation, the name of a normalization
+ *      strategy, or an array of these to apply in order.
+ * @param {boolean|string|Object} [strategy.deprecated] Whether the key is
+ *      deprecated, a message explaining what to do instead, or an object
+ *      with an optional message and the key that replaces this one.
+ * @param {Object} options The options for the schema containing the
+ *      definition.
  * @returns {void}
  * @throws {Error} When the strategy is missing a name.
  * @throws {Error} When the strategy is missing a merge() method.
  * @throws {Error} When the strategy is missing a validate() method.
  */
-function validateDefinition(name, strategy) {
+function validateDefinition(name, strategy, options) {
+    const { registry } = options;
+
+    if (strategy.match || name === "*") {
+        if (strategy.match && !(strategy.match instanceof RegExp) && typeof strategy.match !== "function") {
+            throw new TypeError(`Definition for key "${name}" must have a match property that is a regular expression or function.`);
+        }
+
+        if (strategy.required) {
+            throw new TypeError(`Definition for key "${name}" matches multiple keys and can't be required.`);
+        }
+
+        if ("default" in strategy) {
+            throw new TypeError(`Definition for key "${name}" matches multiple keys and can't have a default.`);
+        }
+
+        if ("oneOf" in strategy || "requiredIf" in strategy) {
+            throw new TypeError(`Definition for key "${name}" matches multiple keys and can't have a oneOf or requiredIf property.`);
+        }
+    }
+
+    if (strategy.required && "default" in strategy) {
+        throw new TypeError(`Definition for key "${name}" is required, so it can't have a default.`);
+    }
+
+    if ("conflicts" in strategy) {
+        if (!Array.isArray(strategy.conflicts) || strategy.conflicts.some(key => typeof key !== "string")) {
+            throw new TypeError(`Definition for key "${name}" must have a conflicts property that is an array of strings.`);
+        }
+    }
+
+    if ("oneOf" in strategy && typeof strategy.oneOf !== "string") {
+        throw new TypeError(`Definition for key "${name}" must have a oneOf property that is a string.`);
+    }
+
+    if ("requiredIf" in strategy && typeof strategy.requiredIf !== "function") {
+        throw new TypeError(`Definition for key "${name}" must have a requiredIf property that is a function.`);
+    }
+
+    if ("deprecated" in strategy) {
+        const { deprecated } = strategy;
+        const isDeprecationObject = Boolean(deprecated) && typeof deprecated === "object"
+            && ["message", "replacedBy"].every(property => deprecated[property] === undefined || typeof deprecated[property] === "string");
+
+        if (typeof deprecated !== "boolean" && typeof deprecated !== "string" && !isDeprecationObject) {
+            throw new TypeError(`Definition for key "${name}" must have a deprecated property that is a Boolean, a string, or an object with string message and replacedBy properties.`);
+        }
+    }
 
     let hasSchema = false;
     if (strategy.schema) {
-        if (typeof strategy.schema === "object") {
+        if (typeof strategy.schema === "object" || typeof strategy.schema === "function") {
             hasSchema = true;
         } else {
             throw new TypeError("Schema must be an object.");
         }
     }
 
+    if (strategy.items) {
+        if (hasSchema) {
+            throw new TypeError(`Definition for key "${name}" can't have both a schema and items property.`);
+        }
+
+        if (typeof strategy.items !== "object" && typeof strategy.items !== "function") {
+            throw new TypeError(`Definition for key "${name}" must have an items property that is an object or function.`);
+        }
+
+        if ("itemKey" in strategy && typeof strategy.itemKey !== "string") {
+            throw new TypeError(`Definition for key "${name}" must have an itemKey property that is a string.`);
+        }
+
+        hasSchema = true;
+    }
+
     if (typeof strategy.merge === "string") {
-        if (!(strategy.merge in MergeStrategy)) {
-            throw new TypeError(`Definition for key "${name}" missing valid merge strategy.`);
+        if (!registry.getMergeStrategy(strategy.merge)) {
+            throw new TypeError(createUnknownStrategyMessage(name, "merge", strategy.merge, registry.getMergeStrategyNames()));
         }
     } else if (!hasSchema && typeof strategy.merge !== "function") {
         throw new TypeError(`Definition for key "${name}" must have a merge property.`);
     }
 
-    if (typeof strategy.validate === "string") {
-        if (!(strategy.validate in ValidationStrategy)) {
-            throw new TypeError(`Definition for key "${name}" missing valid validation strategy.`);
-        }
-    } else if (!hasSchema && typeof strategy.validate !== "function") {
-        throw new TypeError(`Definition for key "${name}" must have a validate() method.`);
+    if (!hasSchema || typeof strategy.validate !== "undefined") {
+        resolveValidation(name, strategy.validate, options);
     }
-}
 
-//-----------------------------------------------------------------------------
-// Errors
-//-----------------------------------------------------------------------------
+    if ("normalize" in strategy) {
+        resolveNormalization(name, strategy.normalize, options);
+    }
+}
 
 /**
- * Error when an unexpected key is found.
+ * Creates a normalization strategy from the normalize property of a
+ * definition. The property may be a function, the name of a strategy in the
+ * registry, or an array of these to apply in order.
+ * @param {string} name The name of the key the definition is for.
+ * @param {Function|string|Array} normalize The normalize property.
+ * @param {Object} options The options for the schema containing the
+ *      definition.
+ * @returns {Function} The normalization strategy.
+ * @throws {TypeError} When the normalize property is invalid.
  */
-class UnexpectedKeyError extends Error {
+function resolveNormalization(name, normalize, options) {
+    const { registry } = options;
 
-    /**
-     * Creates a new instance.
-     * @param {string} key The key that was unexpected. 
-     */
-    constructor(key) {
-        super(`Unexpected key "${key}" found.`);
+    if (typeof normalize === "function") {
+        return normalize;
+    }
+
+    if (typeof normalize === "string") {
+        const strategy = registry.getNormalizationStrategy(normalize);
+
+        if (!strategy) {
+            throw new TypeError(createUnknownStrategyMessage(name, "normalization", normalize, registry.getNormalizationStrategyNames()));
+        }
+
+        return strategy;
+    }
+
+    if (Array.isArray(normalize)) {
+        const steps = normalize.map(step => resolveNormalization(name, step, options));
+
+        return (value, context) => steps.reduce((result, step) => step(result, context), value);
     }
+
+    throw new TypeError(`Definition for key "${name}" must have a normalize property that is a function, string, or array.`);
 }
 
 /**
- * Error when a required key is missing.
+ * Creates a validation strategy from the validate property of a definition.
+ * The property may be a function, the name of a strategy in the registry,
+ * an object describing the checks to perform, or an array of any of these
+ * where the value must pass at least one.
+ * @param {string} name The name of the key the definition is for.
+ * @param {Function|string|Object|Array} validate The validate property.
+ * @param {Object} options The options for the schema containing the
+ *      definition.
+ * @returns {Function} The validation strategy.
+ * @throws {TypeError} When the validate property is invalid.
  */
-class MissingKeyError extends Error {
+function resolveValidation(name, validate, options) {
+    const { registry } = options;
 
-    /**
-     * Creates a new instance.
-     * @param {string} key The key that was missing. 
-     */
-    constructor(key) {
-        super(`Missing required key "${key}".`);
+    if (typeof validate === "function") {
+        return validate;
+    }
+
+    if (typeof validate === "string") {
+        const strategy = registry.getValidationStrategy(validate);
+
+        if (strategy) {
+            return strategy;
+        }
+
+        // any named strategy can allow null by adding a question mark
+        if (validate.endsWith("?") && registry.getValidationStrategy(validate.slice(0, -1))) {
+            return ValidationStrategy.nullable(registry.getValidationStrategy(validate.slice(0, -1)));
+        }
+
+        throw new TypeError(createUnknownStrategyMessage(name, "validation", validate, registry.getValidationStrategyNames()));
+    }
+
+    if (Array.isArray(validate) && validate.length > 0) {
+        return ValidationStrategy.anyOf(validate.map(alternative => resolveValidation(name, alternative, options)));
+    }
+
+    if (!validate || typeof validate !== "object" || Array.isArray(validate)) {
+        throw new TypeError(`Definition for key "${name}" must have a validate() method.`);
+    }
+
+    for (const option of Object.keys(validate)) {
+        const optionValues = validationOptionValues.get(option);
+
+        if (optionValues && !optionValues.check(validate[option])) {
+            throw new TypeError(`Definition for key "${name}" must have a validation option "${option}" that is ${optionValues.description}.`);
+        }
+    }
+
+    // always check the type first so other checks can rely on it
+    const checks = [];
+
+    if ("type" in validate) {
+        checks.push(resolveValidation(name, validate.type, options));
+    }
+
+    for (const option of Object.keys(validate)) {
+
+        if (option === "type" || option === "nullable") {
+            continue;
+        }
+
+        if (option === "schema") {
+            const getSchema = createSchemaResolver(name, "schema", validate.schema, options);
+
+            // only wait for the subschema when the object is validated asynchronously
+            const check = (value, context) => {
+                ValidationStrategy.object(value);
+                return context && context[asyncValidation]
+                    ? getSchema().validateAsync(value)
+                    : getSchema().validate(value);
+            };
+
+            // lazy schemas may not exist yet, so they can't be described
+            check.jsonSchema = typeof validate.schema === "function"
+                ? { type: "object" }
+                : getSchema()[describeObject]();
+            checks.push(check);
+            continue;
+        }
+
+        if (option === "integer") {
+            if (validate.integer) {
+                checks.push(ValidationStrategy.integer);
+            }
+            continue;
+        }
+
+        if (option === "arrayOf") {
+            checks.push(ValidationStrategy.arrayOf(resolveValidation(name, validate.arrayOf, options)));
+            continue;
+        }
+
+        if (!parameterizedValidations.has(option)) {
+            throw new TypeError(`Definition for key "${name}" has unknown validation option "${option}".`);
+        }
+
+        checks.push(parameterizedValidations.get(option)(validate[option]));
+    }
+
+    // checks that return promises must pass before later checks run
+    const strategy = (value, context) => checks.reduce((result, check) => (
+        isThenable(result)
+            ? result.then(() => check(value, context))
+            : check(value, context)
+    ), undefined);
+
+    // options such as { nullable: true } alone would allow any value
+    if (checks.length === 0) {
+        throw new TypeError(`Definition for key "${name}" must have a validate() method.`);
+    }
+
+    // earlier checks are more specific, so their descriptions take priority
+    strategy.jsonSchema = Object.assign({}, ...checks.map(check => check.jsonSchema || {}).reverse());
+
+    if (validate.integer) {
+        strategy.jsonSchema.type = "integer";
     }
+
+    return validate.nullable ? ValidationStrategy.nullable(strategy) : strategy;
 }
 
 /**
- * Error when a key requires other keys that are missing.
+ * Creates a function that determines if a key matches a pattern strategy.
+ * @param {RegExp|Function} match The pattern or predicate from the strategy.
+ * @returns {Function} A function that accepts a key and returns true if the
+ *      key matches.
  */
-class MissingDependentKeysError extends Error {
+function createKeyMatcher(match) {
 
-    /**
-     * Creates a new instance.
-     * @param {string} key The key that was unexpected.
-     * @param {Array<string>} requiredKeys The keys that are required.
-     */
-    constructor(key, requiredKeys) {
-        super(`Key "${key}" requires keys "${requiredKeys.join("\", \"")}".`);
+    if (typeof match === "function") {
+        return key => Boolean(match(key));
     }
+
+    const pattern = createTestPattern(match);
+    return key => pattern.test(key);
 }
 
 /**
- * Wrapper error for errors occuring during a merge or validate operation.
+ * Applies the defaults from a strategy's subschema or items schema to a value.
+ * @param {Object} strategy The strategy for the object key.
+ * @param {*} value The value for the object key.
+ * @returns {*} A copy of the value with defaults applied, or the original
+ *      value if there are no defaults to apply.
  */
-class WrapperError extends Error {
+function applyNestedDefaults(strategy, value) {
 
-    /**
-     * Creates a new instance.
-     * @param {string} key The object key causing the error. 
-     * @param {Error} source The source error. 
-     */
-    constructor(key, source) {
-        super(`Key "${key}": ${source.message}`, { cause: source });
+    if (strategy[subschema] && value && typeof value === "object") {
+        return strategy[subschema].applyDefaults(value);
+    }
 
-        // copy over custom properties that aren't represented
-        for (const key of Object.keys(source)) {
-            if (!(key in this)) {
-                this[key] = source[key];
-            }
-        }
+    if (strategy[itemSchema] && Array.isArray(value)) {
+        return value.map(item => (
+            item && typeof item === "object"
+                ? strategy[itemSchema].applyDefaults(item)
+                : item
+        ));
     }
-}
 
-//-----------------------------------------------------------------------------
-// Main
-//-----------------------------------------------------------------------------
+    return value;
+}
 
 /**
- * Represents an object validation/merging schema.
+ * Normalizes a value using a strategy's normalize() method and then its
+ * subschema or items schema.
+ * @param {Object} strategy The strategy for the object key.
+ * @param {*} value The value for the object key.
+ * @param {Object} context The key and the object containing the value.
+ * @returns {*} The normalized value.
  */
-class ObjectSchema {
+function normalizeValue(strategy, value, context) {
+    const result = strategy.normalize
+        ? strategy.normalize(value, context)
+        : value;
 
-    /**
-     * Creates a new instance.
-     */
-    constructor(definitions) {
+    if (strategy[subschema] && result && typeof result === "object" && !Array.isArray(result)) {
+        return strategy[subschema].normalize(result);
+    }
 
-        if (!definitions) {
-            throw new Error("Schema definitions missing.");
-        }
+    if (strategy[itemSchema] && Array.isArray(result)) {
+        return result.map(item => (
+            item && typeof item === "object" && !Array.isArray(item)
+                ? strategy[itemSchema].normalize(item)
+                : item
+        ));
+    }
 
-        /**
-         * Track all strategies in the schema by key.
-         * @type {Map}
-         * @property strategies
-         */
-        this[strategies] = new Map();
+    return result;
+}
 
-        /**
-         * Separately track any keys that are required for faster validation.
-         * @type {Map}
-         * @property requiredKeys
-         */
-        this[requiredKeys] = new Map();
+/**
+ * Creates the default value for a key from its strategy.
+ * @param {Object} strategy The strategy for the object key.
+ * @returns {*} The default value, or undefined if there is no default.
+ */
+function getDefaultValue(strategy) {
+    const value = typeof strategy.default === "function"
+        ? strategy.default()
+        : strategy.default;
 
-        // add in all strategies
-        for (const key of Object.keys(definitions)) {
-            validateDefinition(key, definitions[key]);
+    // ensure nested defaults are applied to the default value too
+    return applyNestedDefaults(strategy, value);
+}
 
-            // normalize merge and validate methods if subschema is present
-            if (typeof definitions[key].schema === "object") {
-                const schema = new ObjectSchema(definitions[key].schema);
-                definitions[key] = {
-                    ...definitions[key],
-                    merge(first = {}, second = {}) {
-                        return schema.merge(first, second);
-                    },
-                    validate(value) {
-                        ValidationStrategy.object(value);
-                        schema.validate(value);
-                    }
-                };
-            }
+/**
+ * Creates a function that returns the ObjectSchema for the schema or items
+ * property of a definition. Definitions objects are used to create a new
+ * ObjectSchema right away, while functions aren't called until the schema
+ * is first needed so that schemas can refer to themselves.
+ * @param {string} name The name of the key the definition is for.
+ * @param {string} property The name of the property, "schema" or "items".
+ * @param {Object|ObjectSchema|Function} value The value of the property.
+ * @param {Object} options The options for a new ObjectSchema.
+ * @returns {Function} A function that returns the ObjectSchema.
+ */
+function createSchemaResolver(name, property, value, options) {
 
-            // normalize the merge method in case there's a string
-            if (typeof definitions[key].merge === "string") {
-                definitions[key] = {
-                    ...definitions[key],
-                    merge: MergeStrategy[definitions[key].merge]
-                };
-            };
+    if (value instanceof ObjectSchema) {
+        return () => value;
+    }
 
-            // normalize the validate method in case there's a string
-            if (typeof definitions[key].validate === "string") {
-                definitions[key] = {
-                    ...definitions[key],
-                    validate: ValidationStrategy[definitions[key].validate]
-                };
-            };
+    if (typeof value === "function") {
+        let schema;
 
-            this[strategies].set(key, definitions[key]);
+        return () => {
+            if (!schema) {
+                schema = value();
 
-            if (definitions[key].required) {
-                this[requiredKeys].set(key, definitions[key]);
+                if (!(schema instanceof ObjectSchema)) {
+                    schema = undefined;
+                    throw new TypeError(`Definition for key "${name}" must have a ${property} function that returns an ObjectSchema.`);
+                }
             }
-        }
-    }
 
-    /**
-     * Determines if a strategy has been registered for the given object key.
-     * @param {string} key The object key to find a strategy for.
-     * @returns {boolean} True if the key has a strategy registered, false if not. 
-     */
-    hasKey(key) {
-        return this[strategies].has(key);
+            return schema;
+        };
     }
 
-    /**
-     * Merges objects together to create a new object comprised of the keys
-     * of the all objects. Keys are merged based on the each key's merge
-     * strategy.
-     * @param {...Object} objects The objects to merge.
-     * @returns {Object} A new object with a mix of all objects' keys.
-     * @throws {Error} If any object is invalid.
-     */
-    merge(...objects) {
+    const schema = new ObjectSchema(value, options);
+    return () => schema;
+}
 
-        // double check arguments
-        if (objects.length < 2) {
-            throw new TypeError("merge() requires at least two arguments.");
-        }
+/**
+ * Creates a frozen copy of each definition so that changes to the original
+ * definitions don't affect schemas created from them later.
+ * @param {Object} definitions The definitions to copy.
+ * @returns {Object} The frozen copies.
+ */
+function copyDefinitions(definitions) {
+    return Object.freeze(Object.fromEntries(
+        Object.keys(definitions).map(key => [key, copyDefinition(definitions[key])])
+    ));
+}
+
+/**
+ * Creates a frozen copy of a definition, including the arrays and nested
+ * definitions it contains.
+ * @param {Object} definition The definition to copy.
+ * @returns {Object} The frozen copy.
+ */
+function copyDefinition(definition) {
+    const copy = { ...definition };
 
-        if (objects.some(object => (object == null || typeof object !== "object"))) {
-            throw new TypeError("All arguments must be objects.");
+    // only nested definitions objects can be changed through the definition
+    for (const property of ["schema", "items"]) {
+        if (copy[property] && typeof copy[property] === "object" && !(copy[property] instanceof ObjectSchema)) {
+            copy[property] = copyDefinitions(copy[property]);
         }
+    }
 
-        return objects.reduce((result, object) => {
-            
-            this.validate(object);
-            
-            for (const [key, strategy] of this[strategies]) {
-                try {
-                    if (key in result || key in object) {
-                        const value = strategy.merge.call(this, result[key], object[key]);
-                        if (value !== undefined) {
-                            result[key] = value;
-                        }
-                    }
-                } catch (ex) {
-                    throw new WrapperError(key, ex);
-                }
-            }
-            return result;
-        }, {});
+    for (const property of ["requires", "conflicts"]) {
+        if (Array.isArray(copy[property])) {
+            copy[property] = Object.freeze([...copy[property]]);
+        }
     }
 
-    /**
-     * Validates an object's keys based on the validate strategy for each key.
-     * @param {Object} object The object to validate.
-     * @returns {void}
-     * @throws {Error} When the object is invalid. 
-     */
-    validate(object) {
+    if (copy.deprecated && typeof copy.deprecated === "object") {
+        copy.deprecated = Object.freeze({ ...copy.deprecated });
+    }
 
-        // check existing keys first
-        for (const key of Object.keys(object)) {
+    return Object.freeze(copy);
+}
 
-            // check to see if the key is defined
-            if (!this.hasKey(key)) {
-                throw new UnexpectedKeyError(key);
+/**
+ * Creates a merge strategy that merges arrays of objects by position. Items
+ * present in only one array are copied without being merged.
+ * @param {Function} mergeItems The function used to merge two items.
+ * @returns {Function} The merge strategy.
+ */
+function createPositionalMerge(mergeItems) {
+    return (first = [], second = []) => Array.from(
+        { length: Math.max(first.length, second.length) },
+        (_, index) => {
+            if (index >= second.length) {
+                return first[index];
             }
 
-            // validate existing keys
-            const strategy = this[strategies].get(key);
-
-            // first check to see if any other keys are required
-            if (Array.isArray(strategy.requires)) {
-                if (!strategy.requires.every(otherKey => otherKey in object)) {
-                    throw new MissingDependentKeysError(key, strategy.requires);
-                }
+            if (index >= first.length) {
+                return second[index];
             }
 
-            // now apply remaining validation strategy
-            try {
-                strategy.validate.call(strategy, object[key]);
-            } catch (ex) {
-                throw new WrapperError(key, ex);
-            }
+            return mergeItems(first[index], second[index]);
         }
+    );
+}
 
-        // ensure required keys aren't missing
-        for (const [key] of this[requiredKeys]) {
-            if (!(key in object)) {
-                throw new MissingKeyError(key);
+/**
+ * Throws an error when a key is defined differently in two sets of
+ * definitions. Definitions are the same when they are the same object or
+ * have deeply equal properties.
+ * @param {Object} first The first set of definitions.
+ * @param {Object} second The second set of definitions.
+ * @returns {void}
+ * @throws {TypeError} If a key has different definitions.
+ */
+function checkDefinitionConflicts(first, second) {
+    for (const key of Object.keys(second)) {
+        if (Object.prototype.hasOwnProperty.call(first, key) && !isDeepStrictEqual(first[key], second[key])) {
+            throw new TypeError(`Key "${key}" has conflicting definitions.`);
+        }
+    }
+}
+
+/**
+ * Fills in the default value for each key in a map of strategies that is
+ * missing from an object.
+ * @param {Map<string,Object>} strategyMap The strategies for each key.
+ * @param {Object} object The object to fill in. This object is modified.
+ * @returns {Object} The object.
+ * @throws {WrapperError} If a default value can't be created.
+ */
+function fillMissingDefaults(strategyMap, object) {
+    for (const [key, strategy] of strategyMap) {
+        try {
+            if (!(key in object)) {
+                const value = getDefaultValue(strategy);
+                if (value !== undefined) {
+                    object[key] = value;
+                }
+            }
+        } catch (ex) {
+            throw new WrapperError(key, ex);
+        }
+    }
+
+    return object;
+}
+
+/**
+ * Checks the arguments passed to merge() or mergeAsync().
+ * @param {string} methodName The name of the method being called.
+ * @param {Array} objects The arguments passed to the method.
+ * @returns {void}
+ * @throws {TypeError} If there are fewer than two arguments or any argument
+ *      isn't an object.
+ */
+function checkMergeArguments(methodName, objects) {
+    if (objects.length < 2) {
+        throw new TypeError(`${methodName}() requires at least two arguments.`);
+    }
+
+    if (objects.some(object => (object == null || typeof object !== "object"))) {
+        throw new TypeError("All arguments must be objects.");
+    }
+}
+
+/**
+ * Records which object produced the merged value of a key. Only objects
+ * containing the key are recorded. A value that is the same as the object's
+ * value is attributed to that object alone, a value that didn't change keeps
+ * its existing sources, and any other value is attributed to the object in
+ * addition to the existing sources.
+ * @param {Object} tracking The provenance being tracked.
+ * @param {Map<string,Array>} tracking.provenance The sources for each key,
+ *      identified by its JSON Pointer.
+ * @param {Array<string>} tracking.path The keys leading to the object being
+ *      merged.
+ * @param {string} key The key that was merged.
+ * @param {string|number|null} label The label for the object being merged,
+ *      or null if its values shouldn't be recorded.
+ * @param {Object} values The values for the key.
+ * @param {*} values.previous The merged value before the object was merged.
+ * @param {*} values.value The merged value after the object was merged.
+ * @param {Object} values.object The object being merged.
+ * @returns {void}
+ */
+function recordProvenance({ provenance, path }, key, label, { previous, value, object }) {
+    if (label === null || value === undefined || !(key in object)) {
+        return;
+    }
+
+    const keyPath = [...path, key].map(segment => `/${escapePointer(segment)}`).join("");
+
+    if (value === object[key]) {
+        provenance.set(keyPath, [label]);
+    } else if (value !== previous) {
+        provenance.set(keyPath, [...(provenance.get(keyPath) || []), label]);
+    }
+}
+
+/**
+ * Throws an error when a strategy used synchronously returns a promise.
+ * @param {*} result The value returned by the strategy.
+ * @param {string} asyncMethodName The name of the method that supports
+ *      asynchronous strategies.
+ * @returns {void}
+ * @throws {TypeError} If the result is a promise.
+ */
+function ensureSynchronous(result, asyncMethodName) {
+    if (isThenable(result)) {
+
+        // the result is ignored, so avoid an unhandled rejection
+        result.then(null, () => {});
+        throw new TypeError(`Strategy returned a promise. Use ${asyncMethodName}() instead.`);
+    }
+}
+
+/**
+ * Waits for every promise to settle and returns their values. If any promise
+ * is rejected, the reason for the first rejected promise in the array is
+ * thrown so errors don't depend on which promise settles first.
+ * @param {Array<Promise>} promises The promises to wait for.
+ * @returns {Promise<Array>} The values of the promises.
+ * @throws {Error} The reason for the first rejected promise.
+ */
+async function settleInOrder(promises) {
+    const results = await Promise.allSettled(promises);
+    const failure = results.find(({ status }) => status === "rejected");
+
+    if (failure) {
+        throw failure.reason;
+    }
+
+    return results.map(({ value }) => value);
+}
+
+/**
+ * Converts the deprecated property of a definition into an object with the
+ * optional message and replacement key.
+ * @param {boolean|string|Object} deprecated The deprecated property.
+ * @returns {Object|undefined} A frozen object describing the deprecation, or
+ *      undefined if the key isn't deprecated.
+ */
+function normalizeDeprecation(deprecated) {
+    if (!deprecated) {
+        return undefined;
+    }
+
+    if (typeof deprecated === "string") {
+        return Object.freeze({ message: deprecated });
+    }
+
+    return Object.freeze(deprecated === true ? {} : { ...deprecated });
+}
+
+/**
+ * Creates the warning for a deprecated key.
+ * @param {string} key The deprecated key.
+ * @param {Object} deprecation The normalized deprecated property.
+ * @returns {Object} The warning.
+ */
+function createDeprecationWarning(key, { message, replacedBy }) {
+    const warning = {
+        code: "DEPRECATED_KEY",
+        path: [key],
+        message: `Key "${key}" is deprecated.`
+    };
+
+    if (replacedBy) {
+        warning.message += ` Use "${replacedBy}" instead.`;
+        warning.replacedBy = replacedBy;
+    }
+
+    if (message) {
+        warning.message += ` ${message}`;
+    }
+
+    return warning;
+}
+
+/**
+ * Creates a method that reports warnings from a subschema with the keys and
+ * array indexes leading to the subschema added to their paths.
+ * @param {Function} warn The method that reports warnings.
+ * @param {...(string|number)} location The keys and array indexes leading to
+ *      the subschema.
+ * @returns {Function} The method that reports warnings from the subschema.
+ */
+function prefixWarnings(warn, ...location) {
+    return warning => warn({ ...warning, path: [...location, ...warning.path] });
+}
+
+/**
+ * Ignores a warning. Used when a schema doesn't have an onWarning option.
+ * @returns {void}
+ */
+function ignoreWarning() {}
+
+/**
+ * Creates a JSON Schema describing the values allowed for a key.
+ * @param {Object} strategy The strategy for the object key.
+ * @param {Object} context The state of the JSON Schema being created.
+ * @returns {Object} The JSON Schema for the key.
+ */
+function describeStrategy(strategy, context) {
+    let schema;
+
+    if (strategy.jsonSchema) {
+        schema = cloneJSON(strategy.jsonSchema);
+    } else if (strategy[subschema]) {
+        schema = strategy[subschema][describeObject](context);
+    } else if (strategy[itemSchema]) {
+        schema = {
+            type: "array",
+            items: strategy[itemSchema][describeObject](context)
+        };
+    } else {
+        schema = validationToJSONSchema(strategy.validate);
+    }
+
+    if (strategy.default !== undefined && typeof strategy.default !== "function") {
+        schema.default = cloneJSON(strategy.default);
+    }
+
+    if (strategy.deprecated) {
+        schema.deprecated = true;
+    }
+
+    return schema;
+}
+
+//-----------------------------------------------------------------------------
+// Main
+//-----------------------------------------------------------------------------
+
+/**
+ * Represents an object validation/merging schema.
+ */
+class ObjectSchema {
+
+    /**
+     * Creates a new instance.
+     * @param {Object} definitions The definitions for each key.
+     * @param {Object} [options] Options for the schema.
+     * @param {string} [options.unknownKeys="strict"] What to do with keys
+     *      that don't have a definition: "strict" to throw an error, "strip"
+     *      to leave them out of merged objects, or "passthrough" to copy
+     *      them into merged objects.
+     * @param {StrategyRegistry} [options.registry] The registry used to look
+     *      up named strategies. Defaults to the built-in strategies.
+     * @param {Function} [options.validate] A method to call with the entire
+     *      object after each key has been validated. This method should throw
+     *      an error if the object is invalid.
+     * @param {Function} [options.onWarning] A method to call with each
+     *      warning found while validating an object, including objects
+     *      validated by merge() and parse().
+     */
+    constructor(definitions, { unknownKeys = "strict", registry = defaultRegistry, validate, onWarning } = {}) {
+
+        if (!definitions) {
+            throw new Error("Schema definitions missing.");
+        }
+
+        if (!unknownKeyPolicies.has(unknownKeys)) {
+            throw new TypeError("Option \"unknownKeys\" must be \"strict\", \"strip\", or \"passthrough\".");
+        }
+
+        if (!(registry instanceof StrategyRegistry)) {
+            throw new TypeError("Option \"registry\" must be a StrategyRegistry.");
+        }
+
+        if (validate !== undefined && typeof validate !== "function") {
+            throw new TypeError("Option \"validate\" must be a function.");
+        }
+
+        if (onWarning !== undefined && typeof onWarning !== "function") {
+            throw new TypeError("Option \"onWarning\" must be a function.");
+        }
+
+        /**
+         * The options for this schema, which are also used by subschemas.
+         * @type {Object}
+         * @property schemaOptions
+         */
+        this[schemaOptions] = { unknownKeys, registry };
+
+        /**
+         * The method that validates the entire object, if any. Subschemas
+         * don't inherit this method.
+         * @type {Function}
+         * @property objectValidator
+         */
+        this[objectValidator] = validate;
+
+        /**
+         * The method that receives warnings, if any. Subschemas don't inherit
+         * this method because their warnings are reported to the schema
+         * that contains them.
+         * @type {Function}
+         * @property warningHandler
+         */
+        this[warningHandler] = onWarning;
+
+        /**
+         * A copy of the definitions passed to the constructor, used to create
+         * new schemas from this one.
+         * @type {Object}
+         * @property originalDefinitions
+         */
+        this[originalDefinitions] = copyDefinitions(definitions);
+
+        /**
+         * Track all strategies in the schema by key.
+         * @type {Map}
+         * @property strategies
+         */
+        this[strategies] = new Map();
+
+        /**
+         * Separately track any keys that are required for faster validation.
+         * @type {Map}
+         * @property requiredKeys
+         */
+        this[requiredKeys] = new Map();
+
+        /**
+         * Groups of keys where exactly one key must be present, by group name.
+         * @type {Map<string,Array<string>>}
+         * @property keyGroups
+         */
+        this[keyGroups] = new Map();
+
+        /**
+         * Strategies that apply to any key matching a pattern, in the order
+         * they were defined.
+         * @type {Array<{matches:Function,strategy:Object}>}
+         * @property patternStrategies
+         */
+        this[patternStrategies] = [];
+
+        /**
+         * The strategy for any key that doesn't match another strategy.
+         * @type {Object}
+         * @property wildcardStrategy
+         */
+        this[wildcardStrategy] = undefined;
+
+        /**
+         * The normalized definition for each key in the original definitions,
+         * including patterns and the wildcard, in the order they were defined.
+         * @type {Map<string,Object>}
+         * @property normalizedDefinitions
+         */
+        this[normalizedDefinitions] = new Map();
+
+        // add in all strategies
+        for (const key of Object.keys(definitions)) {
+            validateDefinition(key, definitions[key], this[schemaOptions]);
+
+            // normalize the frozen copy so nested definitions can't be changed
+            const definition = { ...this[originalDefinitions][key] };
+            const nestedOptions = {
+                ...this[schemaOptions],
+                unknownKeys: definition.unknownKeys || this[schemaOptions].unknownKeys
+            };
+
+            // normalize merge and validate methods if subschema is present
+            if (definition.schema) {
+                const getSchema = createSchemaResolver(key, "schema", definition.schema, nestedOptions);
+
+                // lazy schemas are only resolved when first used
+                Object.defineProperty(definition, subschema, { get: getSchema });
+                definition.merge = (first = {}, second = {}) => getSchema().merge(first, second);
+                definition.validate = value => {
+                    ValidationStrategy.object(value);
+                    getSchema().validate(value);
+                };
+            }
+
+            // normalize merge and validate methods if items are present
+            if (definition.items) {
+                const getSchema = createSchemaResolver(key, "items", definition.items, nestedOptions);
+                const mergeItems = (first, second) => getSchema().merge(first, second);
+
+                // earlier merges may not have finished when items share a key
+                const mergeItemsLater = (first, second) => Promise.all([first, second])
+                    .then(([item1, item2]) => getSchema().mergeAsync(item1, item2));
+
+                Object.defineProperty(definition, itemSchema, { get: getSchema });
+                definition.validate = ValidationStrategy.arrayOf(item => {
+                    ValidationStrategy.object(item);
+                    getSchema().validate(item);
+                });
+
+                if (definition.merge === undefined) {
+                    const createItemsMerge = typeof definition.itemKey === "string"
+                        ? merger => MergeStrategy.mergeByKey(definition.itemKey, merger)
+                        : createPositionalMerge;
+                    const mergeLater = createItemsMerge(mergeItemsLater);
+
+                    definition.merge = createItemsMerge(mergeItems);
+                    Object.defineProperty(definition, mergeItemsAsync, {
+                        value: (first, second) => Promise.all(mergeLater(first, second))
+                    });
+                }
+            }
+
+            // normalize the merge method in case there's a string
+            if (typeof definition.merge === "string") {
+                definition.merge = registry.getMergeStrategy(definition.merge);
+            }
+
+            // normalize the validate method in case there's a string or object
+            if (typeof definition.validate !== "function") {
+                definition.validate = resolveValidation(key, definition.validate, this[schemaOptions]);
+            }
+
+            // resolve the normalize method in case there's a string or array
+            if ("normalize" in definition && typeof definition.normalize !== "function") {
+                definition.normalize = resolveNormalization(key, definition.normalize, this[schemaOptions]);
+            }
+
+            // copy arrays too so the definition can't be changed through them
+            for (const property of ["requires", "conflicts"]) {
+                if (Array.isArray(definition[property])) {
+                    definition[property] = Object.freeze([...definition[property]]);
+                }
+            }
+
+            if ("deprecated" in definition) {
+                definition.deprecated = normalizeDeprecation(definition.deprecated);
+            }
+
+            Object.freeze(definition);
+            this[normalizedDefinitions].set(key, definition);
+
+            // pattern strategies are only consulted after exact keys
+            if (definition.match) {
+                this[patternStrategies].push({
+                    matches: createKeyMatcher(definition.match),
+                    strategy: definition
+                });
+                continue;
+            }
+
+            if (key === "*") {
+                this[wildcardStrategy] = definition;
+                continue;
+            }
+
+            this[strategies].set(key, definition);
+
+            if (definition.oneOf) {
+                const group = this[keyGroups].get(definition.oneOf) || [];
+                this[keyGroups].set(definition.oneOf, [...group, key]);
+            }
+
+            if (definition.required) {
+                this[requiredKeys].set(key, definition);
+            }
+        }
+    }
+
+    /**
+     * Creates a new instance from a JSON Schema document describing an
+     * object.
+     * @param {Object} document The JSON Schema document.
+     * @returns {ObjectSchema} A schema that validates and merges objects
+     *      matching the document.
+     * @throws {TypeError} If the document doesn't describe an object or
+     *      contains unsupported keywords.
+     */
+    static fromJSONSchema(document) {
+        const { definitions, unknownKeys } = jsonSchemaToDefinitions(
+            document,
+            (nestedDefinitions, nestedUnknownKeys) => new ObjectSchema(nestedDefinitions, { unknownKeys: nestedUnknownKeys })
+        );
+        return new ObjectSchema(definitions, { unknownKeys });
+    }
+
+    /**
+     * Creates a new schema that contains the keys of every schema. The
+     * schemas must have the same options, and any key defined in more than
+     * one schema must have the same definition in each. If the schemas have
+     * validate or onWarning options, the new schema calls each of them in
+     * order.
+     * @param {...ObjectSchema} schemas The schemas to combine.
+     * @returns {ObjectSchema} A new schema.
+     * @throws {TypeError} If the schemas can't be combined.
+     */
+    static combine(...schemas) {
+
+        // double check arguments
+        if (schemas.length < 2) {
+            throw new TypeError("combine() requires at least two arguments.");
+        }
+
+        if (schemas.some(schema => !(schema instanceof ObjectSchema))) {
+            throw new TypeError("All arguments must be ObjectSchema instances.");
+        }
+
+        const [first] = schemas;
+        const definitions = {};
+
+        for (const schema of schemas) {
+            for (const option of ["unknownKeys", "registry"]) {
+                if (schema[schemaOptions][option] !== first[schemaOptions][option]) {
+                    throw new TypeError(`Schemas must have the same "${option}" option.`);
+                }
+            }
+
+            checkDefinitionConflicts(definitions, schema[originalDefinitions]);
+            Object.assign(definitions, schema[originalDefinitions]);
+        }
+
+        const validators = schemas
+            .map(schema => schema[objectValidator])
+            .filter(Boolean);
+
+        // the same handler is often shared, so only call it once per warning
+        const warningHandlers = [...new Set(schemas.map(schema => schema[warningHandler]))]
+            .filter(Boolean);
+
+        return new ObjectSchema(definitions, {
+            ...first[schemaOptions],
+            validate: validators.length
+                ? object => validators.reduce((result, validate) => (
+                    isThenable(result)
+                        ? result.then(() => validate(object))
+                        : validate(object)
+                ), undefined)
+                : undefined,
+            onWarning: warningHandlers.length
+                ? warning => warningHandlers.forEach(onWarning => onWarning(warning))
+                : undefined
+        });
+    }
+
+    /**
+     * Creates a new schema with the same options as this one.
+     * @param {Object} definitions The definitions for the new schema.
+     * @returns {ObjectSchema} The new schema.
+     */
+    [createSchema](definitions) {
+        return new ObjectSchema(definitions, {
+            ...this[schemaOptions],
+            validate: this[objectValidator],
+            onWarning: this[warningHandler]
+        });
+    }
+
+    /**
+     * Creates a new schema with the keys of this schema and additional keys.
+     * @param {Object} definitions The definitions for the additional keys.
+     *      A key that is already defined must have the same definition.
+     * @returns {ObjectSchema} A new schema with the same options.
+     * @throws {TypeError} If a key is already defined differently.
+     */
+    extend(definitions) {
+        if (!definitions || typeof definitions !== "object") {
+            throw new TypeError("Schema definitions missing.");
+        }
+
+        checkDefinitionConflicts(this[originalDefinitions], definitions);
+
+        return this[createSchema]({
+            ...this[originalDefinitions],
+            ...definitions
+        });
+    }
+
+    /**
+     * Creates a new schema with only some of the keys of this schema.
+     * @param {Array<string>} keys The keys to keep.
+     * @returns {ObjectSchema} A new schema with the same options.
+     * @throws {TypeError} If a key isn't defined in this schema.
+     */
+    pick(keys) {
+        this[checkKeys](keys);
+
+        return this[createSchema](Object.fromEntries(
+            Object.entries(this[originalDefinitions])
+                .filter(([key]) => keys.includes(key))
+        ));
+    }
+
+    /**
+     * Creates a new schema without some of the keys of this schema.
+     * @param {Array<string>} keys The keys to remove.
+     * @returns {ObjectSchema} A new schema with the same options.
+     * @throws {TypeError} If a key isn't defined in this schema.
+     */
+    omit(keys) {
+        this[checkKeys](keys);
+
+        return this[createSchema](Object.fromEntries(
+            Object.entries(this[originalDefinitions])
+                .filter(([key]) => !keys.includes(key))
+        ));
+    }
+
+    /**
+     * Checks that an array contains only keys defined in this schema.
+     * @param {Array<string>} keys The keys to check.
+     * @returns {void}
+     * @throws {TypeError} If the argument isn't an array or contains a key
+     *      that isn't defined in this schema.
+     */
+    [checkKeys](keys) {
+        if (!Array.isArray(keys)) {
+            throw new TypeError("Keys must be an array.");
+        }
+
+        for (const key of keys) {
+            if (!Object.prototype.hasOwnProperty.call(this[originalDefinitions], key)) {
+                throw new TypeError(`Key "${key}" isn't defined in the schema.`);
+            }
+        }
+    }
+
+    /**
+     * Lists the keys in the definitions passed to the constructor, including
+     * pattern definitions and the wildcard key.
+     * @returns {Array<string>} The keys in the order they were defined.
+     */
+    keys() {
+        return [...this[normalizedDefinitions].keys()];
+    }
+
+    /**
+     * Retrieves the normalized definition for a key in the definitions passed
+     * to the constructor. Named strategies in the definition are replaced by
+     * the functions they refer to. The definition is frozen.
+     * @param {string} key The key in the definitions.
+     * @returns {Object|undefined} The definition for the key or undefined if
+     *      there is no definition with the key.
+     */
+    getDefinition(key) {
+        return this[normalizedDefinitions].get(key);
+    }
+
+    /**
+     * Determines if a strategy has been registered for the given object key.
+     * @param {string} key The object key to find a strategy for.
+     * @returns {boolean} True if the key has a strategy registered, false if not. 
+     */
+    hasKey(key) {
+        return Boolean(this[getStrategy](key));
+    }
+
+    /**
+     * Finds the strategy for the given object key. Exact keys are checked
+     * first, followed by pattern strategies in the order they were defined,
+     * and finally the wildcard strategy.
+     * @param {string} key The object key to find a strategy for.
+     * @returns {Object|undefined} The strategy for the key or undefined if
+     *      there is no strategy for the key.
+     */
+    [getStrategy](key) {
+        if (this[strategies].has(key)) {
+            return this[strategies].get(key);
+        }
+
+        const pattern = this[patternStrategies].find(({ matches }) => matches(key));
+
+        return pattern ? pattern.strategy : this[wildcardStrategy];
+    }
+
+    /**
+     * Merges objects together to create a new object comprised of the keys
+     * of the all objects. Keys are merged based on the each key's merge
+     * strategy.
+     * @param {...Object} objects The objects to merge.
+     * @returns {Object} A new object with a mix of all objects' keys.
+     * @throws {Error} If any object is invalid.
+     */
+    merge(...objects) {
+
+        // double check arguments
+        checkMergeArguments("merge", objects);
+
+        return this[mergeObjects](objects);
+    }
+
+    /**
+     * Merges objects together like merge() and also reports which objects
+     * produced the value of each key, including keys inside of subschemas.
+     * @param {Array<Object>} objects The objects to merge.
+     * @param {Object} [options] Options for the merge.
+     * @param {Array<string|number>} [options.labels] A label for each object
+     *      to use in place of its index.
+     * @returns {{result:Object,provenance:Map<string,Array<string|number>>}}
+     *      The merged object and a map of each key's JSON Pointer (such as
+     *      "/options/parser") to the labels of the objects that produced its
+     *      value.
+     *      Keys with default values don't have an entry.
+     * @throws {Error} If any object is invalid.
+     */
+    mergeWithProvenance(objects, { labels } = {}) {
+
+        // double check arguments
+        if (!Array.isArray(objects)) {
+            throw new TypeError("mergeWithProvenance() requires an array of objects.");
+        }
+
+        checkMergeArguments("mergeWithProvenance", objects);
+
+        if (labels === undefined) {
+            labels = objects.map((object, index) => index);
+        }
+
+        if (!Array.isArray(labels) || labels.length !== objects.length) {
+            throw new TypeError("Option \"labels\" must be an array with one label for each object.");
+        }
+
+        const provenance = new Map();
+        const result = this[mergeObjects](objects, { provenance, path: [], labels });
+
+        return { result, provenance };
+    }
+
+    /**
+     * Merges objects together, optionally tracking which object produced
+     * each merged value.
+     * @param {Array<Object>} objects The objects to merge.
+     * @param {Object} [tracking] The provenance to track.
+     * @param {Map<string,Array>} tracking.provenance The sources for each key,
+     *      identified by its JSON Pointer.
+     * @param {Array<string>} tracking.path The keys leading to these objects.
+     * @param {Array<string|number|null>} tracking.labels The label for each
+     *      object, or null for objects whose values shouldn't be recorded.
+     * @returns {Object} A new object with a mix of all objects' keys.
+     * @throws {Error} If any object is invalid.
+     */
+    [mergeObjects](objects, tracking) {
+        const merged = objects.reduce((result, object, index) => {
+            
+            this.validate(object);
+            
+            const keys = new Set([
+                ...this[strategies].keys(),
+                ...Object.keys(result),
+                ...Object.keys(object)
+            ]);
+
+            for (const key of keys) {
+
+                // assigning __proto__ would replace the result's prototype
+                if (key === "__proto__") {
+                    continue;
+                }
+
+                const strategy = this[getStrategy](key);
+
+                // unknown keys are either dropped or copied as-is
+                if (!strategy) {
+                    if (this[schemaOptions].unknownKeys === "passthrough" && object[key] !== undefined) {
+                        if (tracking) {
+                            recordProvenance(tracking, key, tracking.labels[index], {
+                                previous: result[key],
+                                value: object[key],
+                                object
+                            });
+                        }
+
+                        result[key] = object[key];
+                    }
+                    continue;
+                }
+
+                try {
+                    if (key in result || key in object) {
+                        let value;
+
+                        // subschemas track provenance for their own keys
+                        if (tracking && strategy[subschema]) {
+                            value = strategy[subschema][mergeObjects]([
+                                result[key] === undefined ? {} : result[key],
+                                object[key] === undefined ? {} : object[key]
+                            ], {
+                                provenance: tracking.provenance,
+                                path: [...tracking.path, key],
+                                labels: [null, tracking.labels[index]]
+                            });
+                        } else {
+                            value = strategy.merge.call(this, result[key], object[key]);
+                            ensureSynchronous(value, "mergeAsync");
+                        }
+
+                        if (tracking) {
+                            recordProvenance(tracking, key, tracking.labels[index], {
+                                previous: result[key],
+                                value,
+                                object
+                            });
+                        }
+
+                        if (value !== undefined) {
+                            result[key] = value;
+                        }
+                    }
+                } catch (ex) {
+                    throw new WrapperError(key, ex);
+                }
+            }
+
+            // the partially merged object must also be valid
+            if (this[objectValidator]) {
+                try {
+                    ensureSynchronous(this[objectValidator](result), "mergeAsync");
+                } catch (ex) {
+                    throw new InvalidObjectError(ex);
+                }
+            }
+
+            return result;
+        }, {});
+
+        // fill in keys that weren't present in any object
+        return fillMissingDefaults(this[strategies], merged);
+    }
+
+    /**
+     * Merges objects together like merge(), but waits for any merge() or
+     * validate() strategies that return promises. Each object is validated
+     * concurrently, as is each key being merged.
+     * @param {...Object} objects The objects to merge.
+     * @returns {Promise<Object>} A new object with a mix of all objects' keys.
+     * @throws {Error} If any object is invalid.
+     */
+    async mergeAsync(...objects) {
+
+        // double check arguments
+        checkMergeArguments("mergeAsync", objects);
+
+        await settleInOrder(objects.map(object => this.validateAsync(object)));
+
+        const merged = {};
+
+        for (const object of objects) {
+            // assigning __proto__ would replace the result's prototype
+            const keys = [...new Set([
+                ...this[strategies].keys(),
+                ...Object.keys(merged),
+                ...Object.keys(object)
+            ])].filter(key => key !== "__proto__");
+
+            // each key only depends on its own values, so merge them all at once
+            const values = await settleInOrder(keys.map(async key => {
+                const strategy = this[getStrategy](key);
+
+                // unknown keys are either dropped or copied as-is
+                if (!strategy) {
+                    return this[schemaOptions].unknownKeys === "passthrough"
+                        ? object[key]
+                        : undefined;
+                }
+
+                if (!(key in merged || key in object)) {
+                    return undefined;
+                }
+
+                try {
+                    if (strategy[subschema]) {
+                        return await strategy[subschema].mergeAsync(merged[key] || {}, object[key] || {});
+                    }
+
+                    if (strategy[mergeItemsAsync]) {
+                        return await strategy[mergeItemsAsync](merged[key], object[key]);
+                    }
+
+                    return await strategy.merge.call(this, merged[key], object[key]);
+                } catch (ex) {
+                    throw new WrapperError(key, ex);
+                }
+            }));
+
+            keys.forEach((key, index) => {
+                if (values[index] !== undefined) {
+                    merged[key] = values[index];
+                }
+            });
+
+            // the partially merged object must also be valid
+            if (this[objectValidator]) {
+                try {
+                    await this[objectValidator](merged);
+                } catch (ex) {
+                    throw new InvalidObjectError(ex);
+                }
+            }
+        }
+
+        // fill in keys that weren't present in any object
+        return fillMissingDefaults(this[strategies], merged);
+    }
+
+    /**
+     * Creates a new object with the default value for each missing key,
+     * including keys inside of subschemas.
+     * @param {Object} object The object to apply defaults to.
+     * @returns {Object} A new object with default values filled in.
+     * @throws {Error} If a default value can't be created.
+     */
+    applyDefaults(object) {
+        const result = { ...object };
+
+        // apply defaults inside of existing subschema values
+        for (const key of Object.keys(result)) {
+            const strategy = this[getStrategy](key);
+            const value = result[key];
+
+            if (strategy) {
+                try {
+                    result[key] = applyNestedDefaults(strategy, value);
+                } catch (ex) {
+                    throw new WrapperError(key, ex);
+                }
+            }
+        }
+
+        // fill in missing keys
+        return fillMissingDefaults(this[strategies], result);
+    }
+
+    /**
+     * Creates a new object with each value converted by the normalize()
+     * method of its definition, including values inside of subschemas. The
+     * object isn't validated.
+     * @param {Object} object The object to normalize.
+     * @returns {Object} A new object with normalized values.
+     * @throws {Error} If a normalize() method throws an error.
+     */
+    normalize(object) {
+        const result = { ...object };
+
+        for (const key of Object.keys(result)) {
+            const strategy = this[getStrategy](key);
+
+            if (strategy) {
+                try {
+                    result[key] = normalizeValue(strategy, result[key], { key, object });
+                } catch (ex) {
+                    throw new WrapperError(key, ex);
+                }
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Normalizes an object and then validates the normalized object.
+     * @param {Object} object The object to parse.
+     * @returns {Object} A new object with normalized values.
+     * @throws {Error} If the normalized object is invalid.
+     */
+    parse(object) {
+        ValidationStrategy.object(object);
+
+        const result = this.normalize(object);
+        this.validate(result);
+        return result;
+    }
+
+    /**
+     * Creates a JSON Schema document describing the objects allowed by this
+     * schema.
+     * @returns {Object} A JSON Schema (draft 2020-12) document.
+     */
+    toJSONSchema() {
+        const context = {
+            stack: [],
+            refs: new Map(),
+            defs: {}
+        };
+        const schema = this[describeObject](context);
+
+        return {
+            $schema: dialect,
+            ...schema,
+            ...(Object.keys(context.defs).length ? { $defs: context.defs } : {})
+        };
+    }
+
+    /**
+     * Creates a JSON Schema describing the objects allowed by this schema
+     * without any document-level keywords, so it can be embedded in
+     * another JSON Schema. A schema that contains itself is described using
+     * a reference to "#" when it's the document root, or to an entry in the
+     * definitions of the context otherwise.
+     * @param {Object} [context] The state of the JSON Schema being created.
+     * @param {Array<ObjectSchema>} context.stack The schemas being described.
+     * @param {Map<ObjectSchema,string>} context.refs The references to use
+     *      for schemas that contain themselves.
+     * @param {Object} context.defs The JSON Schemas for each referenced
+     *      schema that isn't the document root, by name.
+     * @returns {Object} The JSON Schema for this schema.
+     */
+    [describeObject](context = { stack: [], refs: new Map(), defs: {} }) {
+
+        // describe recursive schemas using references
+        if (context.stack.includes(this)) {
+            if (!context.refs.has(this)) {
+                context.refs.set(this, context.stack[0] === this
+                    ? "#"
+                    : `#/$defs/schema${context.refs.size + 1}`);
+            }
+
+            return { $ref: context.refs.get(this) };
+        }
+
+        context.stack.push(this);
+
+        const schema = {
+            type: "object",
+            properties: {}
+        };
+        const dependentRequired = {};
+        const dependentSchemas = {};
+
+        for (const [key, strategy] of this[strategies]) {
+            schema.properties[key] = describeStrategy(strategy, context);
+
+            if (Array.isArray(strategy.requires)) {
+                dependentRequired[key] = [...strategy.requires];
+            }
+
+            if (Array.isArray(strategy.conflicts)) {
+                dependentSchemas[key] = {
+                    not: {
+                        anyOf: strategy.conflicts.map(otherKey => ({ required: [otherKey] }))
+                    }
+                };
+            }
+        }
+
+        if (this[requiredKeys].size) {
+            schema.required = [...this[requiredKeys].keys()];
+        }
+
+        if (Object.keys(dependentRequired).length) {
+            schema.dependentRequired = dependentRequired;
+        }
+
+        if (Object.keys(dependentSchemas).length) {
+            schema.dependentSchemas = dependentSchemas;
+        }
+
+        // each group becomes a oneOf of required keys
+        const groups = [...this[keyGroups].values()].map(keys => ({
+            oneOf: keys.map(key => ({ required: [key] }))
+        }));
+
+        if (groups.length === 1) {
+            schema.oneOf = groups[0].oneOf;
+        } else if (groups.length > 1) {
+            schema.allOf = groups;
+        }
+
+        let hasPredicate = false;
+
+        for (const { strategy } of this[patternStrategies]) {
+
+            // flags such as "i" change which keys match but can't be described
+            if (strategy.match instanceof RegExp && isDescribablePattern(strategy.match)) {
+                schema.patternProperties = schema.patternProperties || {};
+                schema.patternProperties[strategy.match.source] = describeStrategy(strategy, context);
+            } else {
+                hasPredicate = true;
+            }
+        }
+
+        // predicates can't be described, so any other key might be allowed
+        if (!hasPredicate) {
+            if (this[wildcardStrategy]) {
+                schema.additionalProperties = describeStrategy(this[wildcardStrategy], context);
+            } else if (this[schemaOptions].unknownKeys === "strict") {
+                schema.additionalProperties = false;
+            }
+        }
+
+        context.stack.pop();
+
+        // schemas referenced from inside themselves are stored separately
+        const ref = context.refs.get(this);
+
+        if (ref && ref !== "#") {
+            context.defs[ref.slice("#/$defs/".length)] = schema;
+            return { $ref: ref };
+        }
+
+        return schema;
+    }
+
+    /**
+     * Validates an object's keys based on the validate strategy for each key.
+     * @param {Object} object The object to validate.
+     * @returns {void}
+     * @throws {Error} When the object is invalid. 
+     */
+    validate(object) {
+        const { value: error } = this[validationErrors](object, this[warningHandler] || ignoreWarning).next();
+
+        if (error) {
+            throw error;
+        }
+    }
+
+    /**
+     * Validates an object like validate(), but waits for any validate()
+     * strategies that return promises. Each key is validated concurrently.
+     * @param {Object} object The object to validate.
+     * @returns {Promise<void>} A promise that resolves when the object is
+     *      valid.
+     * @throws {Error} When the object is invalid.
+     */
+    async validateAsync(object) {
+        const [error] = await this[validationErrorsAsync](object, this[warningHandler] || ignoreWarning);
+
+        if (error) {
+            throw error;
+        }
+    }
+
+    /**
+     * Validates an object's keys based on the validate strategy for each key
+     * without stopping at the first failure.
+     * @param {Object} object The object to validate.
+     * @returns {{valid:boolean,errors:Array<{path:string[],error:Error}>,warnings:Array<{code:string,path:string[],message:string}>}}
+     *      An object indicating if the object is valid and listing every
+     *      failure along with the path to the key that caused it, as well as
+     *      every warning.
+     */
+    validateAll(object) {
+
+        // there are no keys to check without an object
+        try {
+            ValidationStrategy.object(object);
+        } catch (ex) {
+            return {
+                valid: false,
+                errors: [{ path: [], error: ex }],
+                warnings: []
+            };
+        }
+
+        const warnings = [];
+        const onWarning = this[warningHandler] || ignoreWarning;
+        const errors = [...this[validationErrors](object, warning => {
+            warnings.push(warning);
+            onWarning(warning);
+        })].map(error => ({ path: error.path, error }));
+
+        return {
+            valid: errors.length === 0,
+            errors,
+            warnings
+        };
+    }
+
+    /**
+     * Finds every validation failure in an object, including failures in
+     * subschemas. Failures are produced lazily so callers can stop after the
+     * first one.
+     * @param {Object} object The object to validate.
+     * @param {Function} warn The method that reports warnings.
+     * @returns {Generator<Error>} An iterator over each failure.
+     */
+    *[validationErrors](object, warn) {
+        let valid = true;
+
+        for (const error of this[keyValidationErrors](object, false, warn)) {
+            valid = false;
+            yield error;
+        }
+
+        // the object validator can rely on each key being valid
+        if (valid && this[objectValidator]) {
+            try {
+                ensureSynchronous(this[objectValidator](object), "validateAsync");
+            } catch (ex) {
+                yield new InvalidObjectError(ex);
+            }
+        }
+    }
+
+    /**
+     * Finds every validation failure in an object, including failures in
+     * subschemas, waiting for any validate() strategies that return promises.
+     * @param {Object} object The object to validate.
+     * @param {Function} warn The method that reports warnings.
+     * @returns {Promise<Array<Error>>} The failures in the same order as
+     *      the validation failures found synchronously.
+     */
+    async [validationErrorsAsync](object, warn) {
+
+        // start every validation before waiting for any of them
+        const results = await Promise.all(this[keyValidationErrors](object, true, warn));
+        const errors = results.flat();
+
+        // the object validator can rely on each key being valid
+        if (!errors.length && this[objectValidator]) {
+            try {
+                await this[objectValidator](object);
+            } catch (ex) {
+                errors.push(new InvalidObjectError(ex));
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Finds every validation failure for the keys in an object, including
+     * failures in subschemas.
+     * @param {Object} object The object to validate.
+     * @param {boolean} async When true, validate() strategies may
+     *      return promises and failures from them (and from subschemas) are
+     *      produced as promises that resolve to arrays of failures.
+     * @param {Function} warn The method that reports warnings.
+     * @returns {Generator<Error|Promise<Array<Error>>>} An iterator over each
+     *      failure.
+     */
+    *[keyValidationErrors](object, async, warn) {
+
+        // check existing keys first
+        for (const key of Object.keys(object)) {
+
+            const strategy = this[getStrategy](key);
+
+            // check to see if the key is defined
+            if (!strategy) {
+                if (this[schemaOptions].unknownKeys === "strict") {
+                    yield new UnexpectedKeyError(key);
+                }
+                continue;
+            }
+
+            // deprecated keys are still valid, so only warn about them
+            if (strategy.deprecated) {
+                warn(createDeprecationWarning(key, strategy.deprecated));
+            }
+
+            // first check to see if any other keys are required
+            if (Array.isArray(strategy.requires)) {
+                if (!strategy.requires.every(otherKey => otherKey in object)) {
+                    yield new MissingDependentKeysError(key, strategy.requires);
+                }
+            }
+
+            // then check to see if any conflicting keys are present
+            if (Array.isArray(strategy.conflicts)) {
+                const conflictingKeys = strategy.conflicts.filter(otherKey => otherKey in object);
+                if (conflictingKeys.length) {
+                    yield new ConflictingKeysError(key, conflictingKeys);
+                }
+            }
+
+            // subschemas report each of their own failures
+            if (strategy[subschema]) {
+                try {
+                    ValidationStrategy.object(object[key]);
+                } catch (ex) {
+                    yield new WrapperError(key, ex);
+                    continue;
+                }
+
+                if (async) {
+                    yield strategy[subschema][validationErrorsAsync](object[key], prefixWarnings(warn, key))
+                        .then(errors => errors.map(error => new WrapperError(key, error)));
+                    continue;
+                }
+
+                for (const error of strategy[subschema][validationErrors](object[key], prefixWarnings(warn, key))) {
+                    yield new WrapperError(key, error);
+                }
+
+                continue;
+            }
+
+            // items schemas report failures for each item
+            if (strategy[itemSchema]) {
+                try {
+                    ValidationStrategy.array(object[key]);
+                } catch (ex) {
+                    yield new WrapperError(key, ex);
+                    continue;
+                }
+
+                for (const [index, item] of object[key].entries()) {
+                    try {
+                        ValidationStrategy.object(item);
+                    } catch (ex) {
+                        yield new WrapperError(key, new WrapperError(index, ex));
+                        continue;
+                    }
+
+                    if (async) {
+                        yield strategy[itemSchema][validationErrorsAsync](item, prefixWarnings(warn, key, index))
+                            .then(errors => errors.map(error => new WrapperError(key, new WrapperError(index, error))));
+                        continue;
+                    }
+
+                    for (const error of strategy[itemSchema][validationErrors](item, prefixWarnings(warn, key, index))) {
+                        yield new WrapperError(key, new WrapperError(index, error));
+                    }
+                }
+
+                continue;
+            }
+
+            // now apply remaining validation strategy
+            let result;
+
+            try {
+                result = strategy.validate.call(strategy, object[key], {
+                    key,
+                    object,
+                    warn(message) {
+                        warn({ code: "VALIDATION_WARNING", path: [key], message: String(message) });
+                    },
+                    [asyncValidation]: async
+                });
+
+                if (!async) {
+                    ensureSynchronous(result, "validateAsync");
+                }
+            } catch (ex) {
+                yield new WrapperError(key, ex);
+            }
+
+            if (async && isThenable(result)) {
+                yield Promise.resolve(result)
+                    .then(() => [], ex => [new WrapperError(key, ex)]);
+            }
+        }
+
+        // ensure required keys aren't missing
+        for (const [key] of this[requiredKeys]) {
+            if (!(key in object)) {
+                yield new MissingKeyError(key);
+            }
+        }
+
+        // ensure conditionally required keys aren't missing
+        for (const [key, strategy] of this[strategies]) {
+            if (!strategy.requiredIf || key in object) {
+                continue;
+            }
+
+            let required;
+
+            try {
+                required = strategy.requiredIf(object);
+            } catch (ex) {
+                yield new WrapperError(key, ex);
+                continue;
+            }
+
+            if (required) {
+                yield new MissingConditionalKeyError(key);
+            }
+        }
+
+        // ensure exactly one key from each group is present
+        for (const [, keys] of this[keyGroups]) {
+            const foundKeys = keys.filter(key => key in object);
+            if (foundKeys.length !== 1) {
+                yield new OneOfKeysError(keys, foundKeys);
             }
         }
 
@@ -0,0 +1,291 @@
+/**
+ * @filedescription Strategy Registry
+ */
+
+"use strict";
+
+//-----------------------------------------------------------------------------
+// Requirements
+//-----------------------------------------------------------------------------
+
+const { MergeStrategy } = require("./merge-strategy");
+const { ValidationStrategy } = require("./validation-strategy");
+const { NormalizationStrategy } = require("./normalization-strategy");
+
+//-----------------------------------------------------------------------------
+// Private
+//-----------------------------------------------------------------------------
+
+const mergeStrategies = Symbol("mergeStrategies");
+const validationStrategies = Symbol("validationStrategies");
+const normalizationStrategies = Symbol("normalizationStrategies");
+const includeAddedStrategies = Symbol("includeAddedStrategies");
+
+/**
+ * The names of the merge strategies available in every registry.
+ * @type {Array<string>}
+ */
+const builtInMergeStrategies = [
+    "assign",
+    "concat",
+    "deepAssign",
+    "mergeById",
+    "overwrite",
+    "prepend",
+    "replace",
+    "union"
+];
+
+/**
+ * The names of the validation strategies available in every registry.
+ * @type {Array<string>}
+ */
+const builtInValidationStrategies = [
+    "array",
+    "boolean",
+    "integer",
+    "number",
+    "object",
+    "object?",
+    "string",
+    "string!"
+];
+
+/**
+ * The names of the normalization strategies available in every registry.
+ * @type {Array<string>}
+ */
+const builtInNormalizationStrategies = [
+    "array",
+    "boolean",
+    "number",
+    "string",
+    "trim"
+];
+
+/**
+ * The names of the static properties of each strategy class before any
+ * strategies could be added to it directly.
+ * @type {Map<Function,Set<string>>}
+ */
+const originalStaticNames = new Map(
+    [MergeStrategy, ValidationStrategy, NormalizationStrategy]
+        .map(strategyClass => [strategyClass, new Set(Object.getOwnPropertyNames(strategyClass))])
+);
+
+/**
+ * Finds the strategies that were added directly to a strategy class, which
+ * was the only way to add named strategies before registries existed. Only
+ * the default registry includes these strategies.
+ * @param {StrategyRegistry} registry The registry looking up strategies.
+ * @param {Function} strategyClass The class the strategies were added to.
+ * @returns {Map<string,Function>} The added strategies by name.
+ */
+function getAddedStrategies(registry, strategyClass) {
+    const added = new Map();
+
+    if (!registry[includeAddedStrategies]) {
+        return added;
+    }
+
+    const original = originalStaticNames.get(strategyClass);
+
+    for (const name of Object.getOwnPropertyNames(strategyClass)) {
+        if (!original.has(name) && typeof strategyClass[name] === "function") {
+            added.set(name, strategyClass[name]);
+        }
+    }
+
+    return added;
+}
+
+/**
+ * Adds a strategy to a map of strategies.
+ * @param {Map<string,Function>} map The map to add the strategy to.
+ * @param {string} name The name of the strategy.
+ * @param {Function} strategy The strategy.
+ * @returns {void}
+ * @throws {TypeError} If the name isn't a non-empty string.
+ * @throws {TypeError} If the strategy isn't a function.
+ * @throws {Error} If the name is already registered.
+ */
+function addStrategy(map, name, strategy) {
+
+    if (typeof name !== "string" || name.length === 0) {
+        throw new TypeError("Strategy name must be a non-empty string.");
+    }
+
+    if (typeof strategy !== "function") {
+        throw new TypeError(`Strategy "${name}" must be a function.`);
+    }
+
+    if (map.has(name)) {
+        throw new Error(`Strategy "${name}" is already registered.`);
+    }
+
+    map.set(name, strategy);
+}
+
+//-----------------------------------------------------------------------------
+// Class
+//-----------------------------------------------------------------------------
+
+/**
+ * A collection of named merge, validation, and normalization strategies that
+ * definitions can refer to by name. Every registry starts with the built-in
+ * strategies from `MergeStrategy`, `ValidationStrategy`, and
+ * `NormalizationStrategy`.
+ */
+class StrategyRegistry {
+
+    /**
+     * Creates a new instance.
+     */
+    constructor() {
+
+        /**
+         * Named merge strategies.
+         * @type {Map<string,Function>}
+         * @property mergeStrategies
+         */
+        this[mergeStrategies] = new Map(
+            builtInMergeStrategies.map(name => [name, MergeStrategy[name]])
+        );
+
+        /**
+         * Named validation strategies.
+         * @type {Map<string,Function>}
+         * @property validationStrategies
+         */
+        this[validationStrategies] = new Map(
+            builtInValidationStrategies.map(name => [name, ValidationStrategy[name]])
+        );
+
+        /**
+         * Named normalization strategies.
+         * @type {Map<string,Function>}
+         * @property normalizationStrategies
+         */
+        this[normalizationStrategies] = new Map(
+            builtInNormalizationStrategies.map(name => [name, NormalizationStrategy[name]])
+        );
+    }
+
+    /**
+     * Adds a named merge strategy.
+     * @param {string} name The name of the strategy.
+     * @param {Function} merge The merge strategy.
+     * @returns {StrategyRegistry} This registry, for chaining.
+     * @throws {TypeError} If the name or strategy is invalid.
+     * @throws {Error} If the name is already registered.
+     */
+    addMergeStrategy(name, merge) {
+        addStrategy(this[mergeStrategies], name, merge);
+        return this;
+    }
+
+    /**
+     * Adds a named validation strategy.
+     * @param {string} name The name of the strategy.
+     * @param {Function} validate The validation strategy.
+     * @returns {StrategyRegistry} This registry, for chaining.
+     * @throws {TypeError} If the name or strategy is invalid.
+     * @throws {Error} If the name is already registered.
+     */
+    addValidationStrategy(name, validate) {
+        addStrategy(this[validationStrategies], name, validate);
+        return this;
+    }
+
+    /**
+     * Adds a named normalization strategy.
+     * @param {string} name The name of the strategy.
+     * @param {Function} normalize The normalization strategy.
+     * @returns {StrategyRegistry} This registry, for chaining.
+     * @throws {TypeError} If the name or strategy is invalid.
+     * @throws {Error} If the name is already registered.
+     */
+    addNormalizationStrategy(name, normalize) {
+        addStrategy(this[normalizationStrategies], name, normalize);
+        return this;
+    }
+
+    /**
+     * Retrieves a named merge strategy.
+     * @param {string} name The name of the strategy.
+     * @returns {Function|undefined} The merge strategy or undefined if
+     *      there is no strategy with the name.
+     */
+    getMergeStrategy(name) {
+        return this[mergeStrategies].get(name) || getAddedStrategies(this, MergeStrategy).get(name);
+    }
+
+    /**
+     * Retrieves a named validation strategy.
+     * @param {string} name The name of the strategy.
+     * @returns {Function|undefined} The validation strategy or undefined if
+     *      there is no strategy with the name.
+     */
+    getValidationStrategy(name) {
+        return this[validationStrategies].get(name) || getAddedStrategies(this, ValidationStrategy).get(name);
+    }
+
+    /**
+     * Retrieves a named normalization strategy.
+     * @param {string} name The name of the strategy.
+     * @returns {Function|undefined} The normalization strategy or undefined
+     *      if there is no strategy with the name.
+     */
+    getNormalizationStrategy(name) {
+        return this[normalizationStrategies].get(name) || getAddedStrategies(this, NormalizationStrategy).get(name);
+    }
+
+    /**
+     * Lists the names of all merge strategies.
+     * @returns {Array<string>} The names of the merge strategies.
+     */
+    getMergeStrategyNames() {
+        return [...new Set([
+            ...this[mergeStrategies].keys(),
+            ...getAddedStrategies(this, MergeStrategy).keys()
+        ])];
+    }
+
+    /**
+     * Lists the names of all validation strategies.
+     * @returns {Array<string>} The names of the validation strategies.
+     */
+    getValidationStrategyNames() {
+        return [...new Set([
+            ...this[validationStrategies].keys(),
+            ...getAddedStrategies(this, ValidationStrategy).keys()
+        ])];
+    }
+
+    /**
+     * Lists the names of all normalization strategies.
+     * @returns {Array<string>} The names of the normalization strategies.
+     */
+    getNormalizationStrategyNames() {
+        return [...new Set([
+            ...this[normalizationStrategies].keys(),
+            ...getAddedStrategies(this, NormalizationStrategy).keys()
+        ])];
+    }
+}
+
+/**
+ * Creates the registry used by schemas that aren't passed their own
+ * registry. Unlike other registries, it also includes strategies that were
+ * added directly to the `MergeStrategy`, `ValidationStrategy`, and
+ * `NormalizationStrategy` classes so schemas relying on them keep working.
+ * @returns {StrategyRegistry} The default registry.
+ */
+function createDefaultRegistry() {
+    const registry = new StrategyRegistry();
+    registry[includeAddedStrategies] = true;
+    return registry;
+}
+
+exports.StrategyRegistry = StrategyRegistry;
+exports.createDefaultRegistry = createDefaultRegistry;
@@ -4,6 +4,37 @@
 
 "use strict";
 
+//-----------------------------------------------------------------------------
+// Requirements
+//-----------------------------------------------------------------------------
+
+const { WrapperError } = require("./errors");
+const { isThenable, createTestPattern, isDescribablePattern } = require("./helpers");
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+/**
+ * Attaches a JSON Schema describing the values a validation strategy allows.
+ * @param {Function} validate The validation strategy.
+ * @param {Object} jsonSchema The JSON Schema for the strategy.
+ * @returns {Function} The validation strategy.
+ */
+function describe(validate, jsonSchema) {
+    validate.jsonSchema = jsonSchema;
+    return validate;
+}
+
+/**
+ * Formats a value for use in an error message.
+ * @param {*} value The value to format.
+ * @returns {string} The formatted value.
+ */
+function formatValue(value) {
+    return typeof value === "string" ? JSON.stringify(value) : String(value);
+}
+
 //-----------------------------------------------------------------------------
 // Class
 //-----------------------------------------------------------------------------
@@ -37,6 +68,18 @@ class ValidationStrategy {
         }
     }
 
+    /**
+     * Validates that a value is an integer.
+     * @param {*} value The value to validate.
+     * @returns {void}
+     * @throws {TypeError} If the value is invalid. 
+     */
+    static integer(value) {
+        if (!Number.isInteger(value)) {
+            throw new TypeError("Expected an integer.");
+        }
+    }
+
     /**
      * Validates that a value is a number.
      * @param {*} value The value to validate.
@@ -97,6 +140,251 @@ class ValidationStrategy {
         }
     }
 
+    /**
+     * Creates a validation strategy for numbers greater than or equal to a
+     * minimum.
+     * @param {number} minimum The smallest allowed value.
+     * @returns {Function} The validation strategy.
+     */
+    static min(minimum) {
+        return describe(value => {
+            ValidationStrategy.number(value);
+
+            // NaN isn't less than or greater than any number
+            if (Number.isNaN(value) || value < minimum) {
+                throw new TypeError(`Expected a number greater than or equal to ${minimum}.`);
+            }
+        }, { type: "number", minimum });
+    }
+
+    /**
+     * Creates a validation strategy for numbers less than or equal to a
+     * maximum.
+     * @param {number} maximum The largest allowed value.
+     * @returns {Function} The validation strategy.
+     */
+    static max(maximum) {
+        return describe(value => {
+            ValidationStrategy.number(value);
+
+            // NaN isn't less than or greater than any number
+            if (Number.isNaN(value) || value > maximum) {
+                throw new TypeError(`Expected a number less than or equal to ${maximum}.`);
+            }
+        }, { type: "number", maximum });
+    }
+
+    /**
+     * Creates a validation strategy for strings with a minimum length.
+     * @param {number} minLength The smallest allowed number of characters.
+     * @returns {Function} The validation strategy.
+     */
+    static minLength(minLength) {
+        return describe(value => {
+            ValidationStrategy.string(value);
+
+            if (value.length < minLength) {
+                throw new TypeError(`Expected a string with at least ${minLength} characters.`);
+            }
+        }, { type: "string", minLength });
+    }
+
+    /**
+     * Creates a validation strategy for strings with a maximum length.
+     * @param {number} maxLength The largest allowed number of characters.
+     * @returns {Function} The validation strategy.
+     */
+    static maxLength(maxLength) {
+        return describe(value => {
+            ValidationStrategy.string(value);
+
+            if (value.length > maxLength) {
+                throw new TypeError(`Expected a string with at most ${maxLength} characters.`);
+            }
+        }, { type: "string", maxLength });
+    }
+
+    /**
+     * Creates a validation strategy for strings matching a pattern.
+     * @param {RegExp|string} pattern The pattern the string must match.
+     * @returns {Function} The validation strategy.
+     */
+    static pattern(pattern) {
+        const regex = createTestPattern(pattern);
+
+        // flags such as "i" change which strings match but can't be described
+        const jsonSchema = isDescribablePattern(regex)
+            ? { type: "string", pattern: regex.source }
+            : { type: "string" };
+
+        return describe(value => {
+            ValidationStrategy.string(value);
+
+            if (!regex.test(value)) {
+                throw new TypeError(`Expected a string matching ${regex}.`);
+            }
+        }, jsonSchema);
+    }
+
+    /**
+     * Creates a validation strategy for values that are one of a set of
+     * literal values.
+     * @param {Array} values The allowed values.
+     * @returns {Function} The validation strategy.
+     */
+    static oneOf(values) {
+        const allowed = new Set(values);
+
+        return describe(value => {
+            if (!allowed.has(value)) {
+                throw new TypeError(`Expected one of ${values.map(formatValue).join(", ")}.`);
+            }
+        }, { enum: [...values] });
+    }
+
+    /**
+     * Creates a validation strategy for arrays whose items are all valid.
+     * @param {Function} validate The validation strategy for each item.
+     * @returns {Function} The validation strategy.
+     */
+    static arrayOf(validate) {
+        return describe((value, context) => {
+            ValidationStrategy.array(value);
+
+            const pending = [];
+
+            value.forEach((item, index) => {
+                let result;
+
+                try {
+                    result = validate(item, context);
+                } catch (ex) {
+                    throw new WrapperError(index, ex);
+                }
+
+                if (isThenable(result)) {
+                    pending.push(Promise.resolve(result).catch(ex => {
+                        throw new WrapperError(index, ex);
+                    }));
+                }
+            });
+
+            // report the failure for the first item rather than the fastest
+            if (pending.length) {
+                return Promise.allSettled(pending).then(results => {
+                    const failure = results.find(({ status }) => status === "rejected");
+
+                    if (failure) {
+                        throw failure.reason;
+                    }
+                });
+            }
+
+            return undefined;
+        }, { type: "array", items: validate.jsonSchema || {} });
+    }
+
+    /**
+     * Creates a validation strategy for values that pass at least one of
+     * several validation strategies.
+     * @param {Array<Function>} validates The validation strategies to try.
+     * @returns {Function} The validation strategy.
+     */
+    static anyOf(validates) {
+        return describe((value, context) => {
+            const errors = [];
+
+            /**
+             * Tries each validation strategy starting at an index until one
+             * passes. When a strategy returns a promise, the remaining
+             * strategies are tried after it settles.
+             * @param {number} start The index of the first strategy to try.
+             * @returns {Promise<void>|undefined} A promise when a strategy
+             *      returned a promise.
+             * @throws {TypeError} If no strategy passes.
+             */
+            function tryFrom(start) {
+                for (let index = start; index < validates.length; index++) {
+                    let result;
+
+                    try {
+                        result = validates[index](value, context);
+                    } catch (ex) {
+                        errors.push(ex);
+                        continue;
+                    }
+
+                    if (isThenable(result)) {
+                        return Promise.resolve(result).then(() => undefined, ex => {
+                            errors.push(ex);
+                            return tryFrom(index + 1);
+                        });
+                    }
+
+                    return undefined;
+                }
+
+                const error = new TypeError(`Expected one of the following: ${errors.map((ex, index) => `(${index + 1}) ${ex.message}`).join(" ")}`);
+                error.errors = errors;
+                throw error;
+            }
+
+            return tryFrom(0);
+        }, { anyOf: validates.map(validate => validate.jsonSchema || {}) });
+    }
+
+    /**
+     * Creates a validation strategy that also allows null.
+     * @param {Function} validate The validation strategy for values that
+     *      aren't null.
+     * @returns {Function} The validation strategy.
+     */
+    static nullable(validate) {
+        const jsonSchema = validate.jsonSchema || {};
+
+        /**
+         * Rethrows an error from the validation strategy, mentioning null
+         * in type messages such as "Expected a string."
+         * @param {Error} ex The error thrown by the validation strategy.
+         * @returns {void}
+         * @throws {Error} Always.
+         */
+        function rethrow(ex) {
+            if (ex instanceof TypeError && /^Expected an? [\w-]+\.$/.test(ex.message)) {
+                throw new TypeError(`${ex.message.slice(0, -1)} or null.`, { cause: ex });
+            }
+
+            throw ex;
+        }
+
+        return describe((value, context) => {
+            if (value === null) {
+                return undefined;
+            }
+
+            let result;
+
+            try {
+                result = validate(value, context);
+            } catch (ex) {
+                rethrow(ex);
+            }
+
+            return isThenable(result) ? Promise.resolve(result).catch(rethrow) : result;
+        }, typeof jsonSchema.type === "string"
+            ? { ...jsonSchema, type: [jsonSchema.type, "null"] }
+            : { anyOf: [jsonSchema, { type: "null" }] });
+    }
+
 }
 
+describe(ValidationStrategy.array, { type: "array" });
+describe(ValidationStrategy.boolean, { type: "boolean" });
+describe(ValidationStrategy.integer, { type: "integer" });
+describe(ValidationStrategy.number, { type: "number" });
+describe(ValidationStrategy.object, { type: "object" });
+describe(ValidationStrategy["object?"], { type: ["object", "null"] });
+describe(ValidationStrategy.string, { type: "string" });
+describe(ValidationStrategy["string!"], { type: "string", minLength: 1 });
+
 exports.ValidationStrategy = ValidationStrategy;
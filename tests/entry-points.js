@@ -0,0 +1,108 @@
+/**
+ * @filedescription Entry Point Tests
+ */
+/* global it, describe, before */
+
+"use strict";
+
+//-----------------------------------------------------------------------------
+// Requirements
+//-----------------------------------------------------------------------------
+
+const assert = require("chai").assert;
+const path = require("path");
+const { pathToFileURL } = require("url");
+const cjs = require("../src/");
+const importModule = require("./helpers/import-module");
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+/**
+ * Creates the same schema using the classes from an entry point.
+ * @param {Object} entry The exports of an entry point.
+ * @returns {ObjectSchema} The schema.
+ */
+function createSchema({ ObjectSchema, MergeStrategy, ValidationStrategy }) {
+    return new ObjectSchema({
+        name: {
+            required: true,
+            merge: MergeStrategy.replace,
+            validate: ValidationStrategy.string
+        },
+        tags: {
+            merge: "union",
+            validate: { arrayOf: "string" }
+        }
+    });
+}
+
+//-----------------------------------------------------------------------------
+// Tests
+//-----------------------------------------------------------------------------
+
+describe("Entry points", () => {
+
+    let esm;
+
+    before(async () => {
+        esm = await importModule(pathToFileURL(path.join(__dirname, "../src/index.mjs")).href);
+    });
+
+    describe("ES module", () => {
+
+        it("should have the same exports as the CommonJS module", () => {
+            assert.deepStrictEqual(Object.keys(esm).sort(), Object.keys(cjs).sort());
+        });
+
+        it("should export the same classes as the CommonJS module", () => {
+            for (const name of Object.keys(cjs)) {
+                assert.strictEqual(esm[name], cjs[name], name);
+            }
+        });
+
+        it("should merge objects the same way as the CommonJS module", () => {
+            const objects = [{ name: "a", tags: ["x"] }, { name: "b", tags: ["x", "y"] }];
+
+            assert.deepStrictEqual(createSchema(esm).merge(...objects), createSchema(cjs).merge(...objects));
+        });
+
+        it("should throw errors that are instances of the CommonJS error classes", () => {
+            assert.throws(() => {
+                createSchema(esm).validate({ tags: [] });
+            }, cjs.MissingKeyError);
+
+            assert.throws(() => {
+                createSchema(esm).validate({ name: "a", tags: [1] });
+            }, cjs.WrapperError);
+        });
+
+        it("should export error classes that match errors from the CommonJS module", () => {
+            assert.throws(() => {
+                createSchema(cjs).validate({ name: "a", extra: true });
+            }, esm.UnexpectedKeyError);
+
+            assert.throws(() => {
+                createSchema(cjs).validate({ name: "a", extra: true });
+            }, esm.ObjectSchemaError);
+        });
+
+    });
+
+    describe("Package exports", () => {
+
+        it("should resolve require() to the CommonJS module", () => {
+            assert.strictEqual(require("@humanwhocodes/object-schema"), cjs);
+        });
+
+        it("should resolve import to the ES module", async () => {
+            const imported = await importModule("@humanwhocodes/object-schema");
+
+            assert.strictEqual(imported.ObjectSchema, esm.ObjectSchema);
+            assert.deepStrictEqual(Object.keys(imported), Object.keys(esm));
+        });
+
+    });
+
+});
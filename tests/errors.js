@@ -0,0 +1,273 @@
+/**
+ * @filedescription Errors Tests
+ */
+/* global it, describe */
+
+"use strict";
+
+//-----------------------------------------------------------------------------
+// Requirements
+//-----------------------------------------------------------------------------
+
+const assert = require("chai").assert;
+const {
+    ObjectSchema,
+    ObjectSchemaError,
+    UnexpectedKeyError,
+    MissingKeyError,
+    MissingDependentKeysError,
+    ConflictingKeysError,
+    OneOfKeysError,
+    MissingConditionalKeyError,
+    InvalidObjectError,
+    WrapperError
+} = require("../src/");
+
+//-----------------------------------------------------------------------------
+// Class
+//-----------------------------------------------------------------------------
+
+describe("Errors", () => {
+
+    const schema = new ObjectSchema({
+        foo: {
+            required: true,
+            merge: "replace",
+            validate: "string"
+        },
+        bar: {
+            requires: ["foo"],
+            merge: "replace",
+            validate: "string"
+        }
+    });
+
+    /**
+     * Returns the error thrown when validating the given object.
+     * @param {Object} object The object to validate.
+     * @returns {Error} The thrown error.
+     */
+    function getError(object) {
+        try {
+            schema.validate(object);
+        } catch (ex) {
+            return ex;
+        }
+
+        throw new Error("Expected validate() to throw an error.");
+    }
+
+    describe("UnexpectedKeyError", () => {
+
+        it("should be thrown when an unexpected key is found", () => {
+            const error = getError({ foo: "a", baz: true });
+
+            assert.instanceOf(error, UnexpectedKeyError);
+            assert.instanceOf(error, ObjectSchemaError);
+            assert.instanceOf(error, Error);
+            assert.strictEqual(error.name, "UnexpectedKeyError");
+            assert.strictEqual(error.code, "UNEXPECTED_KEY");
+            assert.deepStrictEqual(error.path, ["baz"]);
+        });
+
+    });
+
+    describe("MissingKeyError", () => {
+
+        it("should be thrown when a required key is missing", () => {
+            const error = getError({});
+
+            assert.instanceOf(error, MissingKeyError);
+            assert.instanceOf(error, ObjectSchemaError);
+            assert.strictEqual(error.name, "MissingKeyError");
+            assert.strictEqual(error.code, "MISSING_KEY");
+            assert.deepStrictEqual(error.path, ["foo"]);
+        });
+
+    });
+
+    describe("MissingDependentKeysError", () => {
+
+        it("should be thrown when a dependent key is missing", () => {
+            const error = getError({ bar: "b" });
+
+            assert.instanceOf(error, MissingDependentKeysError);
+            assert.instanceOf(error, ObjectSchemaError);
+            assert.strictEqual(error.name, "MissingDependentKeysError");
+            assert.strictEqual(error.code, "MISSING_DEPENDENT_KEYS");
+            assert.deepStrictEqual(error.path, ["bar"]);
+        });
+
+    });
+
+    describe("ConflictingKeysError", () => {
+
+        it("should be thrown when conflicting keys are found", () => {
+            const error = new ObjectSchema({
+                foo: {
+                    conflicts: ["bar"],
+                    merge: "replace",
+                    validate: "string"
+                },
+                bar: {
+                    merge: "replace",
+                    validate: "string"
+                }
+            }).validateAll({ foo: "a", bar: "b" }).errors[0].error;
+
+            assert.instanceOf(error, ConflictingKeysError);
+            assert.instanceOf(error, ObjectSchemaError);
+            assert.strictEqual(error.name, "ConflictingKeysError");
+            assert.strictEqual(error.code, "CONFLICTING_KEYS");
+            assert.deepStrictEqual(error.path, ["foo"]);
+        });
+
+    });
+
+    describe("OneOfKeysError", () => {
+
+        it("should be thrown when no key in a group is found", () => {
+            const error = new ObjectSchema({
+                foo: {
+                    oneOf: "source",
+                    merge: "replace",
+                    validate: "string"
+                },
+                bar: {
+                    oneOf: "source",
+                    merge: "replace",
+                    validate: "string"
+                }
+            }).validateAll({}).errors[0].error;
+
+            assert.instanceOf(error, OneOfKeysError);
+            assert.instanceOf(error, ObjectSchemaError);
+            assert.strictEqual(error.name, "OneOfKeysError");
+            assert.strictEqual(error.code, "ONE_OF_KEYS");
+            assert.deepStrictEqual(error.path, []);
+        });
+
+    });
+
+    describe("MissingConditionalKeyError", () => {
+
+        it("should be thrown when a conditionally required key is missing", () => {
+            const error = new ObjectSchema({
+                foo: {
+                    requiredIf: object => object.bar === "b",
+                    merge: "replace",
+                    validate: "string"
+                },
+                bar: {
+                    merge: "replace",
+                    validate: "string"
+                }
+            }).validateAll({ bar: "b" }).errors[0].error;
+
+            assert.instanceOf(error, MissingConditionalKeyError);
+            assert.instanceOf(error, ObjectSchemaError);
+            assert.strictEqual(error.name, "MissingConditionalKeyError");
+            assert.strictEqual(error.code, "MISSING_CONDITIONAL_KEY");
+            assert.deepStrictEqual(error.path, ["foo"]);
+        });
+
+    });
+
+    describe("InvalidObjectError", () => {
+
+        it("should be thrown when the object validate() method throws", () => {
+            const source = new Error("Invalid object.");
+            const error = new ObjectSchema({}, {
+                validate() {
+                    throw source;
+                }
+            }).validateAll({}).errors[0].error;
+
+            assert.instanceOf(error, InvalidObjectError);
+            assert.instanceOf(error, ObjectSchemaError);
+            assert.strictEqual(error.name, "InvalidObjectError");
+            assert.strictEqual(error.code, "INVALID_OBJECT");
+            assert.strictEqual(error.message, "Invalid object.");
+            assert.deepStrictEqual(error.path, []);
+            assert.strictEqual(error.originalError, source);
+        });
+
+        it("should use the path of errors thrown by a schema", () => {
+            const error = new InvalidObjectError(new MissingKeyError("foo"));
+
+            assert.deepStrictEqual(error.path, ["foo"]);
+        });
+
+        it("should use the thrown value as the message when it isn't an error", () => {
+            const error = new ObjectSchema({}, {
+                validate() {
+                    throw "bad";
+                }
+            }).validateAll({}).errors[0].error;
+
+            assert.instanceOf(error, InvalidObjectError);
+            assert.strictEqual(error.message, "bad");
+            assert.strictEqual(error.originalError, "bad");
+            assert.strictEqual(new InvalidObjectError(null).message, "null");
+        });
+
+    });
+
+    describe("WrapperError", () => {
+
+        it("should be thrown when a value is invalid", () => {
+            const error = getError({ foo: 1 });
+
+            assert.instanceOf(error, WrapperError);
+            assert.instanceOf(error, ObjectSchemaError);
+            assert.strictEqual(error.name, "WrapperError");
+            assert.strictEqual(error.code, "WRAPPER_ERROR");
+            assert.deepStrictEqual(error.path, ["foo"]);
+            assert.instanceOf(error.cause, TypeError);
+            assert.strictEqual(error.originalError, error.cause);
+        });
+
+        it("should combine paths when wrapping another schema error", () => {
+            const error = new WrapperError("foo", new WrapperError("bar", new MissingKeyError("baz")));
+
+            assert.strictEqual(error.message, "Key \"foo\": Key \"bar\": Missing required key \"baz\".");
+            assert.deepStrictEqual(error.path, ["foo", "bar", "baz"]);
+            assert.instanceOf(error.originalError, MissingKeyError);
+        });
+
+        it("should not use the path of errors that weren't thrown by a schema", () => {
+            const source = new Error("ENOENT");
+            source.path = "/foo/bar";
+
+            const error = new WrapperError("foo", source);
+
+            assert.deepStrictEqual(error.path, ["foo"]);
+        });
+
+        it("should keep the source's code and path on the original error", () => {
+            const source = new Error("File not found.");
+            source.code = "ENOENT";
+            source.path = "/foo/bar";
+            source.errno = -2;
+
+            const error = new WrapperError("foo", source);
+
+            assert.strictEqual(error.code, "WRAPPER_ERROR");
+            assert.strictEqual(error.originalError.code, "ENOENT");
+            assert.strictEqual(error.originalError.path, "/foo/bar");
+            assert.strictEqual(error.errno, -2);
+        });
+
+        it("should use the thrown value as the message when it isn't an error", () => {
+            const error = new WrapperError("foo", "Invalid value.");
+
+            assert.strictEqual(error.message, "Key \"foo\": Invalid value.");
+            assert.strictEqual(error.originalError, "Invalid value.");
+            assert.notProperty(error, "0");
+
+            assert.strictEqual(new WrapperError(0, undefined).message, "Index 0: undefined");
+        });
+
+    });
+
+});
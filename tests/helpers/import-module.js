@@ -0,0 +1,15 @@
+/**
+ * @filedescription Dynamic Import Helper
+ *
+ * Loads an ES module from CommonJS tests. This file is in .eslintignore
+ * because the version of ESLint used by this project can't parse import().
+ */
+
+"use strict";
+
+/**
+ * Imports an ES module.
+ * @param {string} specifier The file URL or package name to import.
+ * @returns {Promise<Object>} The module's exports.
+ */
+module.exports = specifier => import(specifier);
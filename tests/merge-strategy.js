@@ -10,7 +10,7 @@
 //-----------------------------------------------------------------------------
 
 const assert = require("chai").assert;
-const { MergeStrategy } = require("../src/");
+const { MergeStrategy, ObjectSchema } = require("../src/");
 
 //-----------------------------------------------------------------------------
 // Class
@@ -63,4 +63,218 @@ describe("MergeStrategy", () => {
 
     });
 
+    describe("deepAssign()", () => {
+
+        it("should merge nested plain objects from two objects", () => {
+            const object1 = { foo: { bar: 1, baz: { qux: 2 } }, list: [1] };
+            const object2 = { foo: { baz: { quux: 3 } }, list: [2] };
+
+            const result = MergeStrategy.deepAssign(object1, object2);
+            assert.deepStrictEqual(result, {
+                foo: { bar: 1, baz: { qux: 2, quux: 3 } },
+                list: [2]
+            });
+        });
+
+        it("should not modify or return either object", () => {
+            const object1 = { foo: { bar: 1 } };
+            const object2 = { foo: { baz: 2 } };
+
+            const result = MergeStrategy.deepAssign(object1, object2);
+            assert.notStrictEqual(result, object1);
+            assert.notStrictEqual(result.foo, object1.foo);
+            assert.notStrictEqual(result.foo, object2.foo);
+            assert.deepStrictEqual(object1, { foo: { bar: 1 } });
+            assert.deepStrictEqual(object2, { foo: { baz: 2 } });
+        });
+
+        it("should assign arrays and class instances as-is", () => {
+            const date = new Date();
+            const list = [{ foo: 1 }];
+
+            const result = MergeStrategy.deepAssign({ date: { a: 1 }, list: [] }, { date, list });
+            assert.strictEqual(result.date, date);
+            assert.strictEqual(result.list, list);
+        });
+
+        it("should return a second value that isn't a plain object", () => {
+            const date = new Date();
+            const list = [1, 2];
+
+            assert.strictEqual(MergeStrategy.deepAssign({ a: { b: 1 } }, list), list);
+            assert.strictEqual(MergeStrategy.deepAssign({ a: { b: 1 } }, date), date);
+            assert.strictEqual(MergeStrategy.deepAssign({ a: { b: 1 } }, null), null);
+            assert.strictEqual(MergeStrategy.deepAssign(list, undefined), list);
+        });
+
+        it("should replace a nested value that isn't a plain object", () => {
+            const result = MergeStrategy.deepAssign({ foo: 1 }, { foo: { bar: 2 } });
+            assert.deepStrictEqual(result, { foo: { bar: 2 } });
+        });
+
+        it("should copy properties when the first value is undefined", () => {
+            const object2 = { foo: { bar: 1 } };
+
+            const result = MergeStrategy.deepAssign(undefined, object2);
+            assert.deepStrictEqual(result, object2);
+            assert.notStrictEqual(result.foo, object2.foo);
+        });
+
+        it("should handle circular references", () => {
+            const object1 = { foo: { bar: 1 } };
+            object1.foo.self = object1.foo;
+
+            const object2 = { foo: { baz: 2 } };
+            object2.foo.parent = object2;
+
+            const result = MergeStrategy.deepAssign(object1, object2);
+            assert.strictEqual(result.foo.bar, 1);
+            assert.strictEqual(result.foo.baz, 2);
+            assert.strictEqual(result.foo.self, result.foo);
+            assert.strictEqual(result.foo.parent, result);
+        });
+
+        it("should copy an object that appears more than once separately", () => {
+            const shared = { v: 1 };
+
+            const result = MergeStrategy.deepAssign({ a: shared, b: shared }, { a: { w: 2 } });
+            assert.deepStrictEqual(result, { a: { v: 1, w: 2 }, b: { v: 1 } });
+            assert.notStrictEqual(result.a, result.b);
+            assert.deepStrictEqual(shared, { v: 1 });
+        });
+
+        it("should not copy __proto__, constructor, or prototype keys", () => {
+            const object2 = JSON.parse("{ \"__proto__\": { \"polluted\": true }, \"constructor\": { \"prototype\": { \"polluted\": true } }, \"foo\": { \"__proto__\": { \"polluted\": true } } }");
+
+            const result = MergeStrategy.deepAssign({}, object2);
+            assert.deepStrictEqual(Object.keys(result), ["foo"]);
+            assert.deepStrictEqual(Object.keys(result.foo), []);
+            assert.isUndefined({}.polluted);
+            assert.isUndefined(result.polluted);
+            assert.isUndefined(result.foo.polluted);
+        });
+
+    });
+
+    describe("concat()", () => {
+
+        it("should append items from the second array to the first", () => {
+            const array1 = [1, 2];
+            const array2 = [2, 3];
+
+            const result = MergeStrategy.concat(array1, array2);
+            assert.deepStrictEqual(result, [1, 2, 2, 3]);
+            assert.notStrictEqual(result, array1);
+        });
+
+        it("should treat undefined values as empty arrays", () => {
+            assert.deepStrictEqual(MergeStrategy.concat(undefined, [1]), [1]);
+            assert.deepStrictEqual(MergeStrategy.concat([1], undefined), [1]);
+        });
+
+    });
+
+    describe("prepend()", () => {
+
+        it("should prepend items from the second array to the first", () => {
+            const result = MergeStrategy.prepend([1, 2], [3, 4]);
+            assert.deepStrictEqual(result, [3, 4, 1, 2]);
+        });
+
+        it("should treat undefined values as empty arrays", () => {
+            assert.deepStrictEqual(MergeStrategy.prepend(undefined, [1]), [1]);
+        });
+
+    });
+
+    describe("union()", () => {
+
+        it("should append items from the second array to the first without duplicates", () => {
+            const result = MergeStrategy.union([1, 2, 2, NaN], [2, 3, NaN]);
+            assert.deepStrictEqual(result, [1, 2, NaN, 3]);
+        });
+
+    });
+
+    describe("unionBy()", () => {
+
+        it("should remove items with the same identity", () => {
+            const merge = MergeStrategy.unionBy(item => item.name);
+            const result = merge(
+                [{ name: "a", value: 1 }, { name: "b", value: 2 }],
+                [{ name: "a", value: 3 }, { name: "c", value: 4 }]
+            );
+
+            assert.deepStrictEqual(result, [
+                { name: "a", value: 1 },
+                { name: "b", value: 2 },
+                { name: "c", value: 4 }
+            ]);
+        });
+
+    });
+
+    describe("mergeById()", () => {
+
+        it("should combine objects with the same id", () => {
+            const result = MergeStrategy.mergeById(
+                [{ id: 1, foo: true }, { id: 2, foo: true }, { bar: true }],
+                [{ id: 2, foo: false, baz: 1 }, { id: 3 }, { bar: false }]
+            );
+
+            assert.deepStrictEqual(result, [
+                { id: 1, foo: true },
+                { id: 2, foo: false, baz: 1 },
+                { bar: true },
+                { id: 3 },
+                { bar: false }
+            ]);
+        });
+
+    });
+
+    describe("mergeByKey()", () => {
+
+        it("should combine objects with the same key using a function", () => {
+            const merge = MergeStrategy.mergeByKey("name", (item1, item2) => ({
+                name: item1.name,
+                count: item1.count + item2.count
+            }));
+
+            const result = merge(
+                [{ name: "a", count: 1 }],
+                [{ name: "a", count: 2 }, { name: "b", count: 3 }]
+            );
+
+            assert.deepStrictEqual(result, [
+                { name: "a", count: 3 },
+                { name: "b", count: 3 }
+            ]);
+        });
+
+        it("should combine objects with the same key using a schema", () => {
+            const schema = new ObjectSchema({
+                name: {
+                    merge: "replace",
+                    validate: "string"
+                },
+                tags: {
+                    merge: "union",
+                    validate: "array"
+                }
+            });
+
+            const merge = MergeStrategy.mergeByKey("name", schema);
+            const result = merge(
+                [{ name: "a", tags: ["x"] }],
+                [{ name: "a", tags: ["x", "y"] }]
+            );
+
+            assert.deepStrictEqual(result, [
+                { name: "a", tags: ["x", "y"] }
+            ]);
+        });
+
+    });
+
 });
@@ -0,0 +1,95 @@
+/**
+ * @filedescription Normalization Strategy Tests
+ */
+/* global it, describe */
+
+"use strict";
+
+//-----------------------------------------------------------------------------
+// Requirements
+//-----------------------------------------------------------------------------
+
+const assert = require("chai").assert;
+const { NormalizationStrategy } = require("../src/");
+
+//-----------------------------------------------------------------------------
+// Class
+//-----------------------------------------------------------------------------
+
+describe("NormalizationStrategy", () => {
+
+    describe("array()", () => {
+
+        it("should wrap a value that isn't an array", () => {
+            assert.deepStrictEqual(NormalizationStrategy.array("a.js"), ["a.js"]);
+            assert.deepStrictEqual(NormalizationStrategy.array(null), [null]);
+        });
+
+        it("should not change arrays or undefined", () => {
+            const value = ["a.js"];
+
+            assert.strictEqual(NormalizationStrategy.array(value), value);
+            assert.isUndefined(NormalizationStrategy.array(undefined));
+        });
+
+    });
+
+    describe("boolean()", () => {
+
+        it("should convert \"true\" and \"false\" into Booleans", () => {
+            assert.isTrue(NormalizationStrategy.boolean("true"));
+            assert.isFalse(NormalizationStrategy.boolean("false"));
+        });
+
+        it("should not change other values", () => {
+            assert.strictEqual(NormalizationStrategy.boolean("yes"), "yes");
+            assert.strictEqual(NormalizationStrategy.boolean(1), 1);
+            assert.isTrue(NormalizationStrategy.boolean(true));
+        });
+
+    });
+
+    describe("number()", () => {
+
+        it("should convert numeric strings into numbers", () => {
+            assert.strictEqual(NormalizationStrategy.number("1"), 1);
+            assert.strictEqual(NormalizationStrategy.number(" -2.5 "), -2.5);
+        });
+
+        it("should not change other values", () => {
+            assert.strictEqual(NormalizationStrategy.number("one"), "one");
+            assert.strictEqual(NormalizationStrategy.number(""), "");
+            assert.isTrue(NormalizationStrategy.number(true));
+        });
+
+    });
+
+    describe("string()", () => {
+
+        it("should convert numbers and Booleans into strings", () => {
+            assert.strictEqual(NormalizationStrategy.string(1), "1");
+            assert.strictEqual(NormalizationStrategy.string(false), "false");
+        });
+
+        it("should not change other values", () => {
+            const value = {};
+
+            assert.strictEqual(NormalizationStrategy.string(value), value);
+            assert.isNull(NormalizationStrategy.string(null));
+        });
+
+    });
+
+    describe("trim()", () => {
+
+        it("should remove whitespace from the start and end of strings", () => {
+            assert.strictEqual(NormalizationStrategy.trim("  a.js\n"), "a.js");
+        });
+
+        it("should not change other values", () => {
+            assert.strictEqual(NormalizationStrategy.trim(1), 1);
+        });
+
+    });
+
+});
@@ -10,7 +10,15 @@
 //-----------------------------------------------------------------------------
 
 const assert = require("chai").assert;
-const { ObjectSchema } = require("../src/");
+const {
+    ObjectSchema,
+    StrategyRegistry,
+    MergeStrategy,
+    ValidationStrategy,
+    UnexpectedKeyError,
+    InvalidObjectError,
+    WrapperError
+} = require("../src/");
 
 //-----------------------------------------------------------------------------
 // Class
@@ -81,6 +89,119 @@ describe("ObjectSchema", () => {
             }, /key "foo" missing valid validation strategy/);
         });
 
+        it("should suggest a similar name when merge is an invalid string", () => {
+            assert.throws(() => {
+                new ObjectSchema({
+                    foo: {
+                        merge: "rplace",
+                        validate: "string"
+                    }
+                });
+            }, /key "foo" missing valid merge strategy: "rplace" is not a known merge strategy. Did you mean "replace"\?/);
+        });
+
+        it("should suggest a similar name when validate is an invalid string", () => {
+            assert.throws(() => {
+                new ObjectSchema({
+                    foo: {
+                        merge: "replace",
+                        validate: "String"
+                    }
+                });
+            }, /key "foo" missing valid validation strategy: "String" is not a known validation strategy. Did you mean "string"\?/);
+        });
+
+        it("should not suggest a name when there isn't a similar one", () => {
+            assert.throws(() => {
+                new ObjectSchema({
+                    foo: {
+                        merge: "replace",
+                        validate: "semver"
+                    }
+                });
+            }, /"semver" is not a known validation strategy.$/);
+        });
+
+        it("should throw an error when merge is a MergeStrategy property that isn't a named strategy", () => {
+            assert.throws(() => {
+                new ObjectSchema({
+                    foo: {
+                        merge: "mergeByKey",
+                        validate: "array"
+                    }
+                });
+            }, /key "foo" missing valid merge strategy/);
+        });
+
+        it("should throw an error when the registry option isn't a StrategyRegistry", () => {
+            assert.throws(() => {
+                new ObjectSchema({}, { registry: {} });
+            }, /Option "registry" must be a StrategyRegistry/);
+        });
+
+        it("should use named strategies from the registry option", () => {
+            const registry = new StrategyRegistry()
+                .addMergeStrategy("sum", (value1 = 0, value2 = 0) => value1 + value2)
+                .addValidationStrategy("semver", value => {
+                    if (!/^\d+\.\d+\.\d+$/.test(value)) {
+                        throw new TypeError("Expected a semantic version.");
+                    }
+                });
+
+            schema = new ObjectSchema({
+                downloads: {
+                    merge: "sum",
+                    validate: "number"
+                },
+                info: {
+                    schema: {
+                        version: {
+                            merge: "replace",
+                            validate: "semver"
+                        }
+                    }
+                }
+            }, { registry });
+
+            const result = schema.merge({ downloads: 1 }, { downloads: 2 });
+            assert.strictEqual(result.downloads, 3);
+
+            assert.throws(() => {
+                schema.validate({ info: { version: "1.0" } });
+            }, /Key "info": Key "version": Expected a semantic version/);
+        });
+
+        it("should use strategies added to the strategy classes when there's no registry option", () => {
+            MergeStrategy.sum = (value1 = 0, value2 = 0) => value1 + value2;
+            ValidationStrategy.even = value => {
+                if (value % 2 !== 0) {
+                    throw new TypeError("Expected an even number.");
+                }
+            };
+
+            try {
+                const definitions = {
+                    downloads: {
+                        merge: "sum",
+                        validate: "even?"
+                    }
+                };
+
+                schema = new ObjectSchema(definitions);
+                assert.strictEqual(schema.merge({ downloads: 2 }, { downloads: 4 }).downloads, 6);
+                assert.throws(() => {
+                    schema.validate({ downloads: 1 });
+                }, /Key "downloads": Expected an even number/);
+
+                assert.throws(() => {
+                    new ObjectSchema(definitions, { registry: new StrategyRegistry() });
+                }, /key "downloads" missing valid merge strategy/);
+            } finally {
+                delete MergeStrategy.sum;
+                delete ValidationStrategy.even;
+            }
+        });
+
     });
 
 
@@ -282,6 +403,39 @@ describe("ObjectSchema", () => {
             assert.strictEqual(result.foo.baz, false);
         });
 
+        it("should call the merge() strategy when defined as 'deepAssign'", () => {
+            schema = new ObjectSchema({
+                foo: {
+                    merge: "deepAssign",
+                    validate() { }
+                }
+            });
+
+            const result = schema.merge(
+                { foo: { bar: { baz: true } } },
+                { foo: { bar: { qux: false } } }
+            );
+
+            assert.deepStrictEqual(result.foo, { bar: { baz: true, qux: false } });
+        });
+
+        it("should call the merge() strategy when defined as 'concat'", () => {
+            schema = new ObjectSchema({
+                foo: {
+                    merge: "concat",
+                    validate: "array"
+                }
+            });
+
+            const result = schema.merge(
+                { foo: [1, 2] },
+                {},
+                { foo: [2, 3] }
+            );
+
+            assert.deepStrictEqual(result.foo, [1, 2, 2, 3]);
+        });
+
         it("should call the merge strategy when there's a subschema", () => {
 
             schema = new ObjectSchema({
@@ -429,6 +583,164 @@ describe("ObjectSchema", () => {
 
     });
 
+    describe("merge() with defaults", () => {
+
+        it("should throw an error when a required key has a default", () => {
+            assert.throws(() => {
+                new ObjectSchema({
+                    foo: {
+                        required: true,
+                        default: "bar",
+                        merge: "replace",
+                        validate: "string"
+                    }
+                });
+            }, /Definition for key "foo" is required, so it can't have a default./);
+        });
+
+        it("should use the default value when no object contains the key", () => {
+            schema = new ObjectSchema({
+                foo: {
+                    default: "bar",
+                    merge: "replace",
+                    validate: "string"
+                }
+            });
+
+            const result = schema.merge({}, {});
+            assert.propertyVal(result, "foo", "bar");
+        });
+
+        it("should not use the default value when an object contains the key", () => {
+            schema = new ObjectSchema({
+                foo: {
+                    default: "bar",
+                    merge: "replace",
+                    validate: "string"
+                }
+            });
+
+            const result = schema.merge({}, { foo: "baz" });
+            assert.propertyVal(result, "foo", "baz");
+        });
+
+        it("should call the default function each time a default value is needed", () => {
+            schema = new ObjectSchema({
+                foo: {
+                    default: () => [],
+                    merge: "replace",
+                    validate: "array"
+                }
+            });
+
+            const result1 = schema.merge({}, {});
+            const result2 = schema.merge({}, {});
+            assert.deepStrictEqual(result1.foo, []);
+            assert.notStrictEqual(result1.foo, result2.foo);
+        });
+
+        it("should use default values inside of subschemas", () => {
+            schema = new ObjectSchema({
+                name: {
+                    schema: {
+                        first: {
+                            merge: "replace",
+                            validate: "string"
+                        },
+                        last: {
+                            default: "z",
+                            merge: "replace",
+                            validate: "string"
+                        }
+                    }
+                }
+            });
+
+            const result = schema.merge({ name: { first: "n" } }, {});
+            assert.deepStrictEqual(result.name, { first: "n", last: "z" });
+        });
+
+        it("should apply subschema defaults to the default value of a subschema key", () => {
+            schema = new ObjectSchema({
+                name: {
+                    default: () => ({}),
+                    schema: {
+                        last: {
+                            default: "z",
+                            merge: "replace",
+                            validate: "string"
+                        }
+                    }
+                }
+            });
+
+            const result = schema.merge({}, {});
+            assert.deepStrictEqual(result.name, { last: "z" });
+        });
+
+        it("should throw an error when the default function throws an error", () => {
+            schema = new ObjectSchema({
+                foo: {
+                    default() {
+                        throw new Error("Boom!");
+                    },
+                    merge: "replace",
+                    validate: "string"
+                }
+            });
+
+            assert.throws(() => {
+                schema.merge({}, {});
+            }, /Key "foo": Boom!/);
+        });
+
+    });
+
+    describe("applyDefaults()", () => {
+
+        beforeEach(() => {
+            schema = new ObjectSchema({
+                foo: {
+                    default: "bar",
+                    merge: "replace",
+                    validate: "string"
+                },
+                name: {
+                    schema: {
+                        first: {
+                            default: () => "n",
+                            merge: "replace",
+                            validate: "string"
+                        }
+                    }
+                }
+            });
+        });
+
+        it("should return a new object with default values for missing keys", () => {
+            const object = {};
+            const result = schema.applyDefaults(object);
+
+            assert.notStrictEqual(result, object);
+            assert.deepStrictEqual(result, { foo: "bar" });
+            assert.deepStrictEqual(object, {});
+        });
+
+        it("should not replace existing values", () => {
+            const result = schema.applyDefaults({ foo: "baz" });
+            assert.deepStrictEqual(result, { foo: "baz" });
+        });
+
+        it("should apply default values inside of subschemas", () => {
+            const object = { name: {} };
+            const result = schema.applyDefaults(object);
+
+            assert.deepStrictEqual(result, { foo: "bar", name: { first: "n" } });
+            assert.deepStrictEqual(object.name, {});
+        });
+
+    });
+
     describe("validate()", () => {
 
         it("should throw an error when an unexpected key is found", () => {
@@ -656,4 +968,3181 @@ describe("ObjectSchema", () => {
 
     });
 
+    describe("Errors", () => {
+
+        beforeEach(() => {
+            schema = new ObjectSchema({
+                name: {
+                    schema: {
+                        first: {
+                            merge: "replace",
+                            validate: "string"
+                        },
+                        last: {
+                            required: true,
+                            merge: "replace",
+                            validate: "string"
+                        },
+                        middle: {
+                            requires: ["first"],
+                            merge: "replace",
+                            validate: "string"
+                        }
+                    }
+                }
+            });
+        });
+
+        it("should have a path and code when an unexpected key is found", () => {
+            const { errors: [{ error }] } = schema.validateAll({ foo: true });
+
+            assert.deepStrictEqual(error.path, ["foo"]);
+            assert.strictEqual(error.code, "UNEXPECTED_KEY");
+        });
+
+        it("should have a path and code when a required key is missing in a subschema", () => {
+            const { errors: [{ error }] } = schema.validateAll({ name: {} });
+
+            assert.deepStrictEqual(error.path, ["name", "last"]);
+            assert.strictEqual(error.code, "WRAPPER_ERROR");
+            assert.strictEqual(error.originalError.code, "MISSING_KEY");
+            assert.deepStrictEqual(error.originalError.path, ["last"]);
+        });
+
+        it("should have a path and code when a dependent key is missing in a subschema", () => {
+            const { errors: [{ error }] } = schema.validateAll({ name: { middle: "c", last: "z" } });
+
+            assert.deepStrictEqual(error.path, ["name", "middle"]);
+            assert.strictEqual(error.originalError.code, "MISSING_DEPENDENT_KEYS");
+        });
+
+        it("should have the original error when a nested value is invalid", () => {
+            let errorThrown = false;
+
+            try {
+                schema.validate({ name: { first: 1, last: "z" } });
+            } catch (ex) {
+                errorThrown = true;
+                assert.deepStrictEqual(ex.path, ["name", "first"]);
+                assert.strictEqual(ex.code, "WRAPPER_ERROR");
+                assert.instanceOf(ex.originalError, TypeError);
+                assert.strictEqual(ex.originalError.message, "Expected a string.");
+                assert.strictEqual(ex.cause.cause, ex.originalError);
+            }
+
+            assert.isTrue(errorThrown);
+        });
+
+    });
+
+    describe("Pattern definitions", () => {
+
+        beforeEach(() => {
+            schema = new ObjectSchema({
+                name: {
+                    merge: "replace",
+                    validate: "string"
+                },
+                flags: {
+                    match: /^is[A-Z]/g,
+                    merge: "replace",
+                    validate: "boolean"
+                },
+                counts: {
+                    match: key => key.endsWith("Count"),
+                    merge(value1 = 0, value2 = 0) {
+                        return value1 + value2;
+                    },
+                    validate: "number"
+                },
+                "*": {
+                    merge: "replace",
+                    validate: "string"
+                }
+            });
+        });
+
+        it("should throw an error when match isn't a regular expression or function", () => {
+            assert.throws(() => {
+                new ObjectSchema({
+                    foo: {
+                        match: "bar",
+                        merge: "replace",
+                        validate: "string"
+                    }
+                });
+            }, /key "foo" must have a match property/);
+        });
+
+        it("should throw an error when a pattern definition is required", () => {
+            assert.throws(() => {
+                new ObjectSchema({
+                    "*": {
+                        required: true,
+                        merge: "replace",
+                        validate: "string"
+                    }
+                });
+            }, /key "\*" matches multiple keys and can't be required/);
+        });
+
+        it("should throw an error when a pattern definition has a default", () => {
+            assert.throws(() => {
+                new ObjectSchema({
+                    foo: {
+                        match: /foo/,
+                        default: "bar",
+                        merge: "replace",
+                        validate: "string"
+                    }
+                });
+            }, /key "foo" matches multiple keys and can't have a default/);
+        });
+
+        it("should report keys matching a pattern or the wildcard as defined", () => {
+            assert.isTrue(schema.hasKey("isEnabled"));
+            assert.isTrue(schema.hasKey("isVisible"));
+            assert.isTrue(schema.hasKey("errorCount"));
+            assert.isTrue(schema.hasKey("anything"));
+        });
+
+        it("should not report keys as defined when there's no wildcard", () => {
+            schema = new ObjectSchema({
+                flags: {
+                    match: /^is[A-Z]/,
+                    merge: "replace",
+                    validate: "boolean"
+                }
+            });
+
+            assert.isTrue(schema.hasKey("isEnabled"));
+            assert.isFalse(schema.hasKey("enabled"));
+            assert.throws(() => {
+                schema.validate({ enabled: true });
+            }, /Unexpected key "enabled"/);
+        });
+
+        it("should validate keys using the first matching strategy", () => {
+            schema.validate({
+                name: "foo",
+                isEnabled: true,
+                isVisible: false,
+                errorCount: 2,
+                description: "bar"
+            });
+
+            assert.throws(() => {
+                schema.validate({ isEnabled: "yes" });
+            }, /Key "isEnabled": Expected a Boolean/);
+
+            assert.throws(() => {
+                schema.validate({ errorCount: "2" });
+            }, /Key "errorCount": Expected a number/);
+
+            assert.throws(() => {
+                schema.validate({ description: 2 });
+            }, /Key "description": Expected a string/);
+        });
+
+        it("should merge keys using the first matching strategy", () => {
+            const result = schema.merge(
+                { name: "a", isEnabled: true, errorCount: 1 },
+                { name: "b", errorCount: 2, warningCount: 3, description: "c" }
+            );
+
+            assert.deepStrictEqual(result, {
+                name: "b",
+                isEnabled: true,
+                errorCount: 3,
+                warningCount: 3,
+                description: "c"
+            });
+        });
+
+        it("should not replace the prototype of the merged object", async () => {
+            schema = new ObjectSchema({
+                "*": {
+                    merge: "replace",
+                    validate() {}
+                }
+            });
+
+            const objects = [{ name: "a" }, JSON.parse("{\"__proto__\":{\"isAdmin\":true}}")];
+
+            for (const result of [schema.merge(...objects), await schema.mergeAsync(...objects)]) {
+                assert.strictEqual(Object.getPrototypeOf(result), Object.prototype);
+                assert.isUndefined(result.isAdmin);
+                assert.deepStrictEqual(Object.keys(result), ["name"]);
+            }
+        });
+
+        it("should use subschemas for keys matching a pattern", () => {
+            schema = new ObjectSchema({
+                "*": {
+                    schema: {
+                        enabled: {
+                            default: true,
+                            merge: "replace",
+                            validate: "boolean"
+                        }
+                    }
+                }
+            });
+
+            assert.throws(() => {
+                schema.validate({ foo: { enabled: "yes" } });
+            }, /Key "foo": Key "enabled": Expected a Boolean/);
+
+            const result = schema.merge({ foo: {} }, { bar: { enabled: false } });
+            assert.deepStrictEqual(result, {
+                foo: { enabled: true },
+                bar: { enabled: false }
+            });
+
+            assert.deepStrictEqual(schema.applyDefaults({ foo: {} }), {
+                foo: { enabled: true }
+            });
+        });
+
+    });
+
+    describe("unknownKeys option", () => {
+
+        const definitions = {
+            name: {
+                merge: "replace",
+                validate: "string"
+            },
+            address: {
+                schema: {
+                    street: {
+                        merge: "replace",
+                        validate: "string"
+                    }
+                }
+            }
+        };
+
+        it("should throw an error when the option is invalid", () => {
+            assert.throws(() => {
+                new ObjectSchema(definitions, { unknownKeys: "loose" });
+            }, /Option "unknownKeys" must be "strict", "strip", or "passthrough"/);
+        });
+
+        it("should throw an error for unknown keys by default", () => {
+            schema = new ObjectSchema(definitions);
+
+            assert.throws(() => {
+                schema.validate({ foo: true });
+            }, /Unexpected key "foo"/);
+        });
+
+        it("should ignore unknown keys when validating with \"strip\"", () => {
+            schema = new ObjectSchema(definitions, { unknownKeys: "strip" });
+            schema.validate({ name: "a", foo: true, address: { bar: 1 } });
+        });
+
+        it("should still validate known keys with \"strip\"", () => {
+            schema = new ObjectSchema(definitions, { unknownKeys: "strip" });
+
+            assert.throws(() => {
+                schema.validate({ name: 1, foo: true });
+            }, /Key "name": Expected a string/);
+        });
+
+        it("should leave unknown keys out of merged objects with \"strip\"", () => {
+            schema = new ObjectSchema(definitions, { unknownKeys: "strip" });
+
+            const result = schema.merge(
+                { name: "a", foo: true, address: { street: "b", bar: 1 } },
+                { baz: false }
+            );
+
+            assert.deepStrictEqual(result, {
+                name: "a",
+                address: { street: "b" }
+            });
+        });
+
+        it("should copy unknown keys into merged objects with \"passthrough\"", () => {
+            schema = new ObjectSchema(definitions, { unknownKeys: "passthrough" });
+
+            const result = schema.merge(
+                { name: "a", foo: true, address: { street: "b", bar: 1 } },
+                { foo: false, baz: 2 }
+            );
+
+            assert.deepStrictEqual(result, {
+                name: "a",
+                foo: false,
+                baz: 2,
+                address: { street: "b", bar: 1 }
+            });
+        });
+
+        it("should not copy __proto__ keys into merged objects with \"passthrough\"", async () => {
+            schema = new ObjectSchema(definitions, { unknownKeys: "passthrough" });
+
+            const objects = [
+                { name: "a", foo: true },
+                JSON.parse("{\"__proto__\":{\"isAdmin\":true},\"address\":{\"__proto__\":{\"isAdmin\":true}}}")
+            ];
+
+            for (const result of [schema.merge(...objects), await schema.mergeAsync(...objects)]) {
+                assert.strictEqual(Object.getPrototypeOf(result), Object.prototype);
+                assert.strictEqual(Object.getPrototypeOf(result.address), Object.prototype);
+                assert.isUndefined(result.isAdmin);
+                assert.deepStrictEqual(result, { name: "a", foo: true, address: {} });
+            }
+        });
+
+        it("should allow subschemas to override the parent option", () => {
+            schema = new ObjectSchema({
+                ...definitions,
+                address: {
+                    ...definitions.address,
+                    unknownKeys: "strict"
+                }
+            }, { unknownKeys: "strip" });
+
+            schema.validate({ foo: true });
+
+            assert.throws(() => {
+                schema.validate({ address: { bar: 1 } });
+            }, /Key "address": Unexpected key "bar"/);
+        });
+
+    });
+
+    describe("toJSONSchema()", () => {
+
+        it("should describe keys using named validation strategies", () => {
+            schema = new ObjectSchema({
+                name: {
+                    required: true,
+                    merge: "replace",
+                    validate: "string!"
+                },
+                age: {
+                    default: 0,
+                    merge: "replace",
+                    validate: "number"
+                },
+                tags: {
+                    merge: "replace",
+                    validate: "array"
+                },
+                parent: {
+                    merge: "replace",
+                    validate: "object?"
+                },
+                enabled: {
+                    requires: ["name"],
+                    merge: "replace",
+                    validate: "boolean"
+                }
+            });
+
+            assert.deepStrictEqual(schema.toJSONSchema(), {
+                $schema: "https://json-schema.org/draft/2020-12/schema",
+                type: "object",
+                properties: {
+                    name: { type: "string", minLength: 1 },
+                    age: { type: "number", default: 0 },
+                    tags: { type: "array" },
+                    parent: { type: ["object", "null"] },
+                    enabled: { type: "boolean" }
+                },
+                required: ["name"],
+                dependentRequired: {
+                    enabled: ["name"]
+                },
+                additionalProperties: false
+            });
+        });
+
+        it("should describe custom validate() methods using the jsonSchema property", () => {
+            schema = new ObjectSchema({
+                date: {
+                    merge: "replace",
+                    validate() {},
+                    jsonSchema: { type: "string", format: "date" }
+                },
+                other: {
+                    merge: "replace",
+                    validate() {}
+                }
+            });
+
+            assert.deepStrictEqual(schema.toJSONSchema().properties, {
+                date: { type: "string", format: "date" },
+                other: {}
+            });
+        });
+
+        it("should describe subschemas", () => {
+            schema = new ObjectSchema({
+                name: {
+                    schema: {
+                        first: {
+                            required: true,
+                            merge: "replace",
+                            validate: "string"
+                        }
+                    }
+                }
+            });
+
+            assert.deepStrictEqual(schema.toJSONSchema().properties.name, {
+                type: "object",
+                properties: {
+                    first: { type: "string" }
+                },
+                required: ["first"],
+                additionalProperties: false
+            });
+        });
+
+        it("should describe pattern and wildcard definitions", () => {
+            schema = new ObjectSchema({
+                flags: {
+                    match: /^is[A-Z]/,
+                    merge: "replace",
+                    validate: "boolean"
+                },
+                "*": {
+                    merge: "replace",
+                    validate: "number"
+                }
+            });
+
+            const result = schema.toJSONSchema();
+            assert.deepStrictEqual(result.patternProperties, {
+                "^is[A-Z]": { type: "boolean" }
+            });
+            assert.deepStrictEqual(result.additionalProperties, { type: "number" });
+        });
+
+        it("should allow additional properties when they can't be described", () => {
+            schema = new ObjectSchema({
+                flags: {
+                    match: key => key.startsWith("is"),
+                    merge: "replace",
+                    validate: "boolean"
+                }
+            });
+
+            assert.notProperty(schema.toJSONSchema(), "additionalProperties");
+        });
+
+        it("should treat patterns with flags that change matching like predicates", () => {
+            schema = new ObjectSchema({
+                foo: {
+                    match: /^foo/i,
+                    merge: "replace",
+                    validate: "boolean"
+                },
+                bar: {
+                    match: /^bar/g,
+                    merge: "replace",
+                    validate: "number"
+                }
+            });
+
+            schema.validate({ FOObar: true });
+
+            const result = schema.toJSONSchema();
+            assert.deepStrictEqual(result.patternProperties, {
+                "^bar": { type: "number" }
+            });
+            assert.notProperty(result, "additionalProperties");
+        });
+
+        it("should allow additional properties when unknown keys aren't strict", () => {
+            schema = new ObjectSchema({}, { unknownKeys: "passthrough" });
+            assert.notProperty(schema.toJSONSchema(), "additionalProperties");
+        });
+
+    });
+
+    describe("ObjectSchema.fromJSONSchema()", () => {
+
+        it("should throw an error when the document doesn't describe an object", () => {
+            assert.throws(() => {
+                ObjectSchema.fromJSONSchema({ type: "string" });
+            }, /JSON Schema must describe an object/);
+        });
+
+        it("should throw an error listing every unsupported keyword", () => {
+            assert.throws(() => {
+                ObjectSchema.fromJSONSchema({
+                    type: "object",
+                    minProperties: 1,
+                    properties: {
+                        name: {
+                            type: "string",
+                            format: "email"
+                        },
+                        "a/b": {
+                            oneOf: [{ type: "string" }]
+                        }
+                    }
+                });
+            }, /Unsupported JSON Schema keywords: "minProperties" at "#", "format" at "#\/properties\/name", "oneOf" at "#\/properties\/a~1b"\./);
+        });
+
+        it("should throw an error for unsupported types", () => {
+            assert.throws(() => {
+                ObjectSchema.fromJSONSchema({
+                    type: "object",
+                    properties: {
+                        name: { type: "text" }
+                    }
+                });
+            }, /Unsupported JSON Schema type "text"/);
+        });
+
+        it("should ignore annotation keywords", () => {
+            schema = ObjectSchema.fromJSONSchema({
+                $schema: "https://json-schema.org/draft/2020-12/schema",
+                title: "Person",
+                description: "A person.",
+                type: "object",
+                properties: {
+                    name: {
+                        description: "The name.",
+                        type: "string"
+                    }
+                }
+            });
+
+            assert.isTrue(schema.hasKey("name"));
+        });
+
+        it("should validate values using value keywords", () => {
+            schema = ObjectSchema.fromJSONSchema({
+                type: "object",
+                properties: {
+                    name: { type: "string", minLength: 1, maxLength: 3, pattern: "^[a-z]+$" },
+                    age: { type: "integer", minimum: 0, exclusiveMaximum: 150 },
+                    score: { type: ["number", "null"], exclusiveMinimum: 0, maximum: 10 },
+                    level: { enum: ["low", "high"] },
+                    version: { const: 2 },
+                    tags: { type: "array", minItems: 1, maxItems: 2 }
+                },
+                additionalProperties: false
+            });
+
+            schema.validate({
+                name: "abc",
+                age: 20,
+                score: null,
+                level: "low",
+                version: 2,
+                tags: ["a"]
+            });
+
+            const { errors } = schema.validateAll({
+                name: "ABCD",
+                age: 1.5,
+                score: 0,
+                level: "medium",
+                version: 1,
+                tags: []
+            });
+
+            assert.deepStrictEqual(errors.map(({ error }) => error.message), [
+                "Key \"name\": Expected a string with at most 3 characters.",
+                "Key \"age\": Expected a value of type \"integer\".",
+                "Key \"score\": Expected a number greater than 0.",
+                "Key \"level\": Expected one of \"low\", \"high\".",
+                "Key \"version\": Expected 2.",
+                "Key \"tags\": Expected an array with at least 1 items."
+            ]);
+
+            assert.throws(() => {
+                schema.validate({ name: "A" });
+            }, /Key "name": Expected a string matching \/\^\[a-z\]\+\$\//);
+
+            assert.throws(() => {
+                schema.validate({ score: "1" });
+            }, /Key "score": Expected a value of type "number" or "null"/);
+        });
+
+        it("should create required, dependent, and unknown key rules", () => {
+            schema = ObjectSchema.fromJSONSchema({
+                type: "object",
+                properties: {
+                    name: { type: "string" },
+                    date: { type: "string" },
+                    time: { type: "string" }
+                },
+                required: ["name"],
+                dependentRequired: {
+                    time: ["date"]
+                },
+                additionalProperties: false
+            });
+
+            assert.throws(() => {
+                schema.validate({});
+            }, /Missing required key "name"/);
+
+            assert.throws(() => {
+                schema.validate({ name: "a", time: "12:00" });
+            }, /Key "time" requires keys "date"/);
+
+            assert.throws(() => {
+                schema.validate({ name: "a", foo: true });
+            }, /Unexpected key "foo"/);
+        });
+
+        it("should allow unknown keys when additionalProperties isn't false", () => {
+            schema = ObjectSchema.fromJSONSchema({
+                type: "object",
+                properties: {
+                    name: { type: "string" }
+                }
+            });
+
+            const result = schema.merge({ name: "a", foo: 1 }, { foo: 2 });
+            assert.deepStrictEqual(result, { name: "a", foo: 2 });
+        });
+
+        it("should create definitions for pattern and additional properties", () => {
+            schema = ObjectSchema.fromJSONSchema({
+                type: "object",
+                patternProperties: {
+                    "^is": { type: "boolean" }
+                },
+                additionalProperties: { type: "number" }
+            });
+
+            schema.validate({ isEnabled: true, count: 1 });
+
+            assert.throws(() => {
+                schema.validate({ isEnabled: 1 });
+            }, /Key "isEnabled": Expected a value of type "boolean"/);
+
+            assert.throws(() => {
+                schema.validate({ count: true });
+            }, /Key "count": Expected a value of type "number"/);
+        });
+
+        it("should merge nested objects key by key and replace other values", () => {
+            schema = ObjectSchema.fromJSONSchema({
+                type: "object",
+                properties: {
+                    name: {
+                        type: "object",
+                        properties: {
+                            first: { type: "string" },
+                            last: { type: "string", default: "z" }
+                        },
+                        additionalProperties: false
+                    },
+                    tags: {
+                        type: "array",
+                        default: []
+                    }
+                }
+            });
+
+            const result = schema.merge(
+                { name: { first: "n" }, tags: ["a"] },
+                { name: { first: "g" }, tags: ["b"] }
+            );
+
+            assert.deepStrictEqual(result, {
+                name: { first: "g", last: "z" },
+                tags: ["b"]
+            });
+
+            assert.throws(() => {
+                schema.validate({ name: { middle: "c" } });
+            }, /Key "name": Unexpected key "middle"/);
+
+            const result1 = schema.merge({}, {});
+            const result2 = schema.merge({}, {});
+            assert.deepStrictEqual(result1.tags, []);
+            assert.notStrictEqual(result1.tags, result2.tags);
+        });
+
+        it("should ignore defaults for required keys", () => {
+            schema = ObjectSchema.fromJSONSchema({
+                type: "object",
+                properties: {
+                    name: { type: "string", default: "a" }
+                },
+                required: ["name"]
+            });
+
+            assert.isFalse("default" in schema.getDefinition("name"));
+
+            assert.throws(() => {
+                schema.merge({}, {});
+            }, /Missing required key "name"./);
+        });
+
+        it("should create a schema that describes the same JSON Schema", () => {
+            const document = {
+                $schema: "https://json-schema.org/draft/2020-12/schema",
+                type: "object",
+                properties: {
+                    name: { type: "string", minLength: 1 },
+                    address: {
+                        type: "object",
+                        properties: {
+                            street: { type: "string" }
+                        },
+                        required: ["street"],
+                        additionalProperties: false
+                    }
+                },
+                required: ["name"],
+                additionalProperties: false
+            };
+
+            schema = ObjectSchema.fromJSONSchema(document);
+            assert.deepStrictEqual(schema.toJSONSchema(), document);
+        });
+
+        it("should validate array items using items", () => {
+            schema = ObjectSchema.fromJSONSchema({
+                type: "object",
+                properties: {
+                    tags: {
+                        type: "array",
+                        items: { type: "string", minLength: 1 }
+                    }
+                }
+            });
+
+            assert.doesNotThrow(() => {
+                schema.validate({ tags: ["a", "b"] });
+            });
+
+            assert.throws(() => {
+                schema.validate({ tags: ["a", ""] });
+            }, /Key "tags": Index 1: Expected a string with at least 1 characters\./);
+        });
+
+        it("should validate values using anyOf", () => {
+            schema = ObjectSchema.fromJSONSchema({
+                type: "object",
+                properties: {
+                    port: {
+                        anyOf: [{ type: "string" }, { type: "integer", minimum: 0 }]
+                    }
+                }
+            });
+
+            assert.doesNotThrow(() => {
+                schema.validate({ port: "http" });
+                schema.validate({ port: 80 });
+            });
+
+            assert.throws(() => {
+                schema.validate({ port: -1 });
+            }, /Key "port": Expected one of the following: \(1\) Expected a value of type "string"\. \(2\) Expected a number greater than or equal to 0\./);
+        });
+
+        it("should report unsupported keywords inside of items and anyOf", () => {
+            assert.throws(() => {
+                ObjectSchema.fromJSONSchema({
+                    type: "object",
+                    properties: {
+                        tags: {
+                            items: { format: "email" },
+                            anyOf: [{ type: "array" }, { oneOf: [] }]
+                        }
+                    }
+                });
+            }, /Unsupported JSON Schema keywords: "format" at "#\/properties\/tags\/items", "oneOf" at "#\/properties\/tags\/anyOf\/1"\./);
+        });
+
+        it("should accept the JSON Schema created for items definitions and validation options", () => {
+            const original = new ObjectSchema({
+                plugins: {
+                    items: {
+                        name: {
+                            required: true,
+                            merge: "replace",
+                            validate: "string"
+                        }
+                    }
+                },
+                port: {
+                    merge: "replace",
+                    validate: ["string", "number"]
+                },
+                tags: {
+                    merge: "replace",
+                    validate: { arrayOf: "string?" }
+                }
+            });
+            const document = original.toJSONSchema();
+
+            schema = ObjectSchema.fromJSONSchema(document);
+            assert.deepStrictEqual(schema.toJSONSchema(), document);
+
+            assert.doesNotThrow(() => {
+                schema.validate({ plugins: [{ name: "a" }], port: 80, tags: ["a", null] });
+            });
+
+            assert.throws(() => {
+                schema.validate({ plugins: [{ name: "a" }, {}] });
+            }, /Key "plugins": Index 1: Missing required key "name"\./);
+
+            assert.throws(() => {
+                schema.validate({ plugins: [{ name: "a", version: 1 }] });
+            }, /Key "plugins": Index 0: Unexpected key "version" found\./);
+
+            assert.throws(() => {
+                schema.validate({ port: true });
+            }, /Key "port": Expected one of the following/);
+
+            assert.throws(() => {
+                schema.validate({ tags: [1] });
+            }, /Key "tags": Index 0: Expected a value of type "string" or "null"\./);
+        });
+
+    });
+
+    describe("Validation options", () => {
+
+        it("should throw an error when an option is unknown", () => {
+            assert.throws(() => {
+                new ObjectSchema({
+                    foo: {
+                        merge: "replace",
+                        validate: { type: "number", minimum: 1 }
+                    }
+                });
+            }, /Definition for key "foo" has unknown validation option "minimum"/);
+        });
+
+        it("should throw an error when the options don't check the value", () => {
+            for (const validate of [{}, { nullable: true }, { integer: false }]) {
+                assert.throws(() => {
+                    new ObjectSchema({
+                        foo: {
+                            merge: "replace",
+                            validate
+                        }
+                    });
+                }, /Definition for key "foo" must have a validate\(\) method./);
+            }
+        });
+
+        it("should throw an error when an option has an invalid value", () => {
+            assert.throws(() => {
+                new ObjectSchema({
+                    foo: { merge: "replace", validate: { min: "abc" } }
+                });
+            }, /Definition for key "foo" must have a validation option "min" that is a number./);
+
+            assert.throws(() => {
+                new ObjectSchema({
+                    foo: { merge: "replace", validate: { maxLength: -1 } }
+                });
+            }, /Definition for key "foo" must have a validation option "maxLength" that is a non-negative integer./);
+
+            assert.throws(() => {
+                new ObjectSchema({
+                    foo: { merge: "replace", validate: { oneOf: "a" } }
+                });
+            }, /Definition for key "foo" must have a validation option "oneOf" that is an array./);
+
+            assert.throws(() => {
+                new ObjectSchema({
+                    foo: { merge: "replace", validate: { type: "string", pattern: 1 } }
+                });
+            }, /Definition for key "foo" must have a validation option "pattern" that is a regular expression or string./);
+
+            assert.throws(() => {
+                new ObjectSchema({
+                    foo: { merge: "replace", validate: { type: "string", nullable: "yes" } }
+                });
+            }, /Definition for key "foo" must have a validation option "nullable" that is a Boolean./);
+        });
+
+        it("should throw an error when the type is unknown", () => {
+            assert.throws(() => {
+                new ObjectSchema({
+                    foo: {
+                        merge: "replace",
+                        validate: { type: "numbr" }
+                    }
+                });
+            }, /"numbr" is not a known validation strategy. Did you mean "number"\?/);
+        });
+
+        it("should validate numbers", () => {
+            schema = new ObjectSchema({
+                port: {
+                    merge: "replace",
+                    validate: { type: "number", integer: true, min: 1, max: 65535 }
+                }
+            });
+
+            schema.validate({ port: 80 });
+
+            assert.throws(() => {
+                schema.validate({ port: "80" });
+            }, /Key "port": Expected a number/);
+
+            assert.throws(() => {
+                schema.validate({ port: 8.5 });
+            }, /Key "port": Expected an integer/);
+
+            assert.throws(() => {
+                schema.validate({ port: 0 });
+            }, /Key "port": Expected a number greater than or equal to 1/);
+
+            assert.throws(() => {
+                schema.validate({ port: 70000 });
+            }, /Key "port": Expected a number less than or equal to 65535/);
+        });
+
+        it("should validate strings", () => {
+            schema = new ObjectSchema({
+                name: {
+                    merge: "replace",
+                    validate: { minLength: 2, maxLength: 4, pattern: /^[a-z]+$/ }
+                }
+            });
+
+            schema.validate({ name: "abc" });
+
+            assert.throws(() => {
+                schema.validate({ name: "a" });
+            }, /Key "name": Expected a string with at least 2 characters/);
+
+            assert.throws(() => {
+                schema.validate({ name: "abcde" });
+            }, /Key "name": Expected a string with at most 4 characters/);
+
+            assert.throws(() => {
+                schema.validate({ name: "ABC" });
+            }, /Key "name": Expected a string matching/);
+        });
+
+        it("should validate literal values", () => {
+            schema = new ObjectSchema({
+                severity: {
+                    merge: "replace",
+                    validate: { oneOf: ["off", "warn", "error"] }
+                },
+                level: {
+                    merge: "replace",
+                    validate: { enum: [0, 1, 2] }
+                }
+            });
+
+            schema.validate({ severity: "warn", level: 1 });
+
+            assert.throws(() => {
+                schema.validate({ severity: "on" });
+            }, /Key "severity": Expected one of "off", "warn", "error"/);
+
+            assert.throws(() => {
+                schema.validate({ level: 3 });
+            }, /Key "level": Expected one of 0, 1, 2/);
+        });
+
+        it("should validate array items", () => {
+            schema = new ObjectSchema({
+                files: {
+                    merge: "concat",
+                    validate: { arrayOf: { type: "string!" } }
+                }
+            });
+
+            schema.validate({ files: ["a.js"] });
+
+            assert.throws(() => {
+                schema.validate({ files: "a.js" });
+            }, /Key "files": Expected an array/);
+
+            assert.throws(() => {
+                schema.validate({ files: ["a.js", ""] });
+            }, /Key "files": Index 1: Expected a non-empty string/);
+        });
+
+        it("should describe validation options using JSON Schema", () => {
+            schema = new ObjectSchema({
+                port: {
+                    merge: "replace",
+                    validate: { type: "number", integer: true, min: 1 }
+                },
+                files: {
+                    merge: "concat",
+                    validate: { arrayOf: { type: "string", minLength: 1 } }
+                }
+            });
+
+            assert.deepStrictEqual(schema.toJSONSchema().properties, {
+                port: { type: "integer", minimum: 1 },
+                files: {
+                    type: "array",
+                    items: { type: "string", minLength: 1 }
+                }
+            });
+        });
+
+    });
+
+    describe("Union and nullable types", () => {
+
+        it("should validate values that match any alternative", () => {
+            schema = new ObjectSchema({
+                files: {
+                    merge: "replace",
+                    validate: ["string", { arrayOf: "string" }]
+                },
+                severity: {
+                    merge: "replace",
+                    validate: ["boolean", { oneOf: ["off"] }]
+                }
+            });
+
+            schema.validate({ files: "a.js", severity: true });
+            schema.validate({ files: ["a.js"], severity: "off" });
+
+            assert.throws(() => {
+                schema.validate({ files: 1 });
+            }, /Key "files": Expected one of the following: \(1\) Expected a string. \(2\) Expected an array./);
+
+            assert.throws(() => {
+                schema.validate({ severity: "on" });
+            }, /Key "severity": Expected one of the following: \(1\) Expected a Boolean. \(2\) Expected one of "off"./);
+        });
+
+        it("should validate values that match a nested schema alternative", () => {
+            schema = new ObjectSchema({
+                parser: {
+                    merge: "replace",
+                    validate: ["string", {
+                        schema: {
+                            name: {
+                                required: true,
+                                merge: "replace",
+                                validate: "string"
+                            }
+                        }
+                    }]
+                }
+            });
+
+            schema.validate({ parser: "espree" });
+            schema.validate({ parser: { name: "espree" } });
+
+            assert.throws(() => {
+                schema.validate({ parser: { version: 1 } });
+            }, /Key "parser": Expected one of the following: \(1\) Expected a string. \(2\) Unexpected key "version" found./);
+        });
+
+        it("should throw an error when an alternative is invalid", () => {
+            assert.throws(() => {
+                new ObjectSchema({
+                    foo: {
+                        merge: "replace",
+                        validate: ["string", "sting"]
+                    }
+                });
+            }, /"sting" is not a known validation strategy. Did you mean "string"\?/);
+        });
+
+        it("should allow null for any named strategy ending with a question mark", () => {
+            const registry = new StrategyRegistry()
+                .addValidationStrategy("semver", value => {
+                    if (!/^\d+\.\d+\.\d+$/.test(value)) {
+                        throw new TypeError("Expected a semantic version.");
+                    }
+                });
+
+            schema = new ObjectSchema({
+                name: {
+                    merge: "replace",
+                    validate: "string?"
+                },
+                count: {
+                    merge: "replace",
+                    validate: "integer?"
+                },
+                version: {
+                    merge: "replace",
+                    validate: "semver?"
+                }
+            }, { registry });
+
+            schema.validate({ name: null, count: null, version: null });
+            schema.validate({ name: "a", count: 1, version: "1.0.0" });
+
+            assert.throws(() => {
+                schema.validate({ name: 1 });
+            }, /Key "name": Expected a string or null./);
+
+            assert.throws(() => {
+                schema.validate({ version: "1" });
+            }, /Key "version": Expected a semantic version./);
+        });
+
+        it("should allow null when the nullable option is true", () => {
+            schema = new ObjectSchema({
+                port: {
+                    merge: "replace",
+                    validate: { type: "number", min: 1, nullable: true }
+                }
+            });
+
+            schema.validate({ port: null });
+            schema.validate({ port: 1 });
+
+            assert.throws(() => {
+                schema.validate({ port: 0 });
+            }, /Key "port": Expected a number greater than or equal to 1./);
+        });
+
+        it("should describe union and nullable types using JSON Schema", () => {
+            schema = new ObjectSchema({
+                files: {
+                    merge: "replace",
+                    validate: ["string", { arrayOf: "string" }]
+                },
+                name: {
+                    merge: "replace",
+                    validate: "string?"
+                }
+            });
+
+            assert.deepStrictEqual(schema.toJSONSchema().properties, {
+                files: {
+                    anyOf: [
+                        { type: "string" },
+                        { type: "array", items: { type: "string" } }
+                    ]
+                },
+                name: { type: ["string", "null"] }
+            });
+        });
+
+    });
+
+    describe("validateAll()", () => {
+
+        it("should return a valid result when the object is valid", () => {
+            schema = new ObjectSchema({
+                foo: {
+                    merge: "replace",
+                    validate: "string"
+                }
+            });
+
+            const result = schema.validateAll({ foo: "bar" });
+            assert.isTrue(result.valid);
+            assert.deepStrictEqual(result.errors, []);
+        });
+
+        it("should return every failure instead of throwing", () => {
+            schema = new ObjectSchema({
+                foo: {
+                    merge: "replace",
+                    validate: "string"
+                },
+                bar: {
+                    required: true,
+                    merge: "replace",
+                    validate: "number"
+                },
+                baz: {
+                    requires: ["bar"],
+                    merge: "replace",
+                    validate: "boolean"
+                }
+            });
+
+            const result = schema.validateAll({ foo: 1, baz: "x", qux: true });
+            assert.isFalse(result.valid);
+            assert.deepStrictEqual(result.errors.map(({ path }) => path), [
+                ["foo"],
+                ["baz"],
+                ["baz"],
+                ["qux"],
+                ["bar"]
+            ]);
+            assert.match(result.errors[0].error.message, /Key "foo": Expected a string/);
+            assert.match(result.errors[1].error.message, /Key "baz" requires keys "bar"/);
+            assert.match(result.errors[2].error.message, /Key "baz": Expected a Boolean/);
+            assert.match(result.errors[3].error.message, /Unexpected key "qux"/);
+            assert.match(result.errors[4].error.message, /Missing required key "bar"/);
+        });
+
+        it("should return failures from subschemas with their full path", () => {
+            schema = new ObjectSchema({
+                name: {
+                    schema: {
+                        first: {
+                            merge: "replace",
+                            validate: "string"
+                        },
+                        last: {
+                            required: true,
+                            merge: "replace",
+                            validate: "string"
+                        }
+                    }
+                }
+            });
+
+            const result = schema.validateAll({ name: { first: 123 } });
+            assert.isFalse(result.valid);
+            assert.deepStrictEqual(result.errors.map(({ path }) => path), [
+                ["name", "first"],
+                ["name", "last"]
+            ]);
+            assert.match(result.errors[0].error.message, /Key "name": Key "first": Expected a string/);
+            assert.match(result.errors[1].error.message, /Key "name": Missing required key "last"/);
+        });
+
+        it("should return one failure when a subschema value isn't an object", () => {
+            schema = new ObjectSchema({
+                name: {
+                    schema: {
+                        first: {
+                            merge: "replace",
+                            validate: "string"
+                        }
+                    }
+                }
+            });
+
+            const result = schema.validateAll({ name: "foo" });
+            assert.strictEqual(result.errors.length, 1);
+            assert.deepStrictEqual(result.errors[0].path, ["name"]);
+            assert.match(result.errors[0].error.message, /Key "name": Expected an object/);
+        });
+
+        it("should return a failure when the value isn't an object", () => {
+            schema = new ObjectSchema({
+                name: {
+                    merge: "replace",
+                    validate: "string"
+                }
+            });
+
+            for (const value of [null, undefined, "foo"]) {
+                const result = schema.validateAll(value);
+
+                assert.isFalse(result.valid);
+                assert.strictEqual(result.errors.length, 1);
+                assert.deepStrictEqual(result.errors[0].path, []);
+                assert.match(result.errors[0].error.message, /Expected an object/);
+                assert.deepStrictEqual(result.warnings, []);
+            }
+        });
+
+    });
+
+    describe("Item definitions", () => {
+
+        beforeEach(() => {
+            schema = new ObjectSchema({
+                overrides: {
+                    items: {
+                        files: {
+                            required: true,
+                            merge: "replace",
+                            validate: { arrayOf: "string" }
+                        },
+                        strict: {
+                            merge: "replace",
+                            validate: "boolean",
+                            default: false
+                        }
+                    }
+                }
+            });
+        });
+
+        it("should validate every item with the items definitions", () => {
+            schema.validate({ overrides: [{ files: ["a.js"] }, { files: [], strict: true }] });
+
+            assert.throws(() => {
+                schema.validate({ overrides: [{ files: ["a.js"] }, { strict: true }] });
+            }, /Key "overrides": Index 1: Missing required key "files"/);
+
+            assert.throws(() => {
+                schema.validate({ overrides: [{ files: ["a.js"], strict: 1 }] });
+            }, /Key "overrides": Index 0: Key "strict": Expected a Boolean/);
+        });
+
+        it("should throw an error when the value isn't an array of objects", () => {
+            assert.throws(() => {
+                schema.validate({ overrides: {} });
+            }, /Key "overrides": Expected an array/);
+
+            assert.throws(() => {
+                schema.validate({ overrides: ["a.js"] });
+            }, /Key "overrides": Index 0: Expected an object/);
+        });
+
+        it("should return every item failure with its index in the path", () => {
+            const result = schema.validateAll({
+                overrides: [{ strict: 1 }, "a.js", { files: ["a.js"] }]
+            });
+
+            assert.deepStrictEqual(result.errors.map(({ path }) => path), [
+                ["overrides", 0, "strict"],
+                ["overrides", 0, "files"],
+                ["overrides", 1]
+            ]);
+        });
+
+        it("should merge items by position by default", () => {
+            const result = schema.merge(
+                { overrides: [{ files: ["a.js"] }, { files: ["b.js"] }] },
+                { overrides: [{ files: ["c.js"], strict: true }] }
+            );
+
+            assert.deepStrictEqual(result, {
+                overrides: [
+                    { files: ["c.js"], strict: true },
+                    { files: ["b.js"] }
+                ]
+            });
+        });
+
+        it("should merge items by the itemKey property when specified", () => {
+            schema = new ObjectSchema({
+                plugins: {
+                    itemKey: "name",
+                    items: {
+                        name: {
+                            required: true,
+                            merge: "replace",
+                            validate: "string"
+                        },
+                        options: {
+                            merge: "assign",
+                            validate: "object"
+                        }
+                    }
+                }
+            });
+
+            const result = schema.merge(
+                { plugins: [{ name: "a", options: { x: 1 } }, { name: "b" }] },
+                { plugins: [{ name: "c" }, { name: "a", options: { y: 2 } }] }
+            );
+
+            assert.deepStrictEqual(result, {
+                plugins: [
+                    { name: "a", options: { x: 1, y: 2 } },
+                    { name: "b" },
+                    { name: "c" }
+                ]
+            });
+        });
+
+        it("should use the merge strategy when specified", () => {
+            schema = new ObjectSchema({
+                overrides: {
+                    merge: "concat",
+                    items: {
+                        files: {
+                            merge: "replace",
+                            validate: "string"
+                        }
+                    }
+                }
+            });
+
+            const result = schema.merge(
+                { overrides: [{ files: "a.js" }] },
+                { overrides: [{ files: "b.js" }] }
+            );
+
+            assert.deepStrictEqual(result, {
+                overrides: [{ files: "a.js" }, { files: "b.js" }]
+            });
+        });
+
+        it("should apply defaults to every item", () => {
+            const result = schema.applyDefaults({ overrides: [{ files: ["a.js"] }] });
+
+            assert.deepStrictEqual(result, {
+                overrides: [{ files: ["a.js"], strict: false }]
+            });
+        });
+
+        it("should describe items in the JSON Schema", () => {
+            const result = schema.toJSONSchema();
+
+            assert.strictEqual(result.properties.overrides.type, "array");
+            assert.deepStrictEqual(result.properties.overrides.items.required, ["files"]);
+            assert.deepStrictEqual(result.properties.overrides.items.properties.strict, {
+                type: "boolean",
+                default: false
+            });
+        });
+
+        it("should throw an error when items isn't an object", () => {
+            assert.throws(() => {
+                new ObjectSchema({
+                    overrides: {
+                        items: true
+                    }
+                });
+            }, /Definition for key "overrides" must have an items property that is an object/);
+        });
+
+        it("should throw an error when both schema and items are present", () => {
+            assert.throws(() => {
+                new ObjectSchema({
+                    overrides: {
+                        schema: {},
+                        items: {}
+                    }
+                });
+            }, /Definition for key "overrides" can't have both a schema and items property/);
+        });
+
+    });
+
+    describe("Relationships between keys", () => {
+
+        it("should throw an error when conflicting keys are present", () => {
+            schema = new ObjectSchema({
+                files: {
+                    conflicts: ["ignores", "patterns"],
+                    merge: "replace",
+                    validate: "array"
+                },
+                ignores: {
+                    merge: "replace",
+                    validate: "array"
+                },
+                patterns: {
+                    merge: "replace",
+                    validate: "array"
+                }
+            });
+
+            schema.validate({ files: [] });
+            schema.validate({ ignores: [], patterns: [] });
+
+            assert.throws(() => {
+                schema.validate({ files: [], patterns: [] });
+            }, /Key "files" can't be used with keys "patterns"./);
+
+            assert.throws(() => {
+                schema.validate({ files: [], ignores: [], patterns: [] });
+            }, /Key "files" can't be used with keys "ignores", "patterns"./);
+        });
+
+        it("should require exactly one key from each oneOf group", () => {
+            schema = new ObjectSchema({
+                parser: {
+                    oneOf: "parsing",
+                    merge: "replace",
+                    validate: "object"
+                },
+                parserPath: {
+                    oneOf: "parsing",
+                    merge: "replace",
+                    validate: "string"
+                },
+                name: {
+                    merge: "replace",
+                    validate: "string"
+                }
+            });
+
+            schema.validate({ parser: {} });
+            schema.validate({ parserPath: "espree", name: "foo" });
+
+            assert.throws(() => {
+                schema.validate({ name: "foo" });
+            }, /Exactly one of keys "parser", "parserPath" must be present./);
+
+            assert.throws(() => {
+                schema.validate({ parser: {}, parserPath: "espree" });
+            }, /Exactly one of keys "parser", "parserPath" must be present, but found keys "parser", "parserPath"./);
+        });
+
+        it("should check each oneOf group separately", () => {
+            schema = new ObjectSchema({
+                a: { oneOf: "first", merge: "replace", validate: "number" },
+                b: { oneOf: "first", merge: "replace", validate: "number" },
+                c: { oneOf: "second", merge: "replace", validate: "number" },
+                d: { oneOf: "second", merge: "replace", validate: "number" }
+            });
+
+            schema.validate({ a: 1, d: 2 });
+
+            const result = schema.validateAll({ a: 1 });
+            assert.strictEqual(result.errors.length, 1);
+            assert.match(result.errors[0].error.message, /Exactly one of keys "c", "d" must be present./);
+        });
+
+        it("should require a key when its requiredIf function returns true", () => {
+            schema = new ObjectSchema({
+                type: {
+                    merge: "replace",
+                    validate: "string"
+                },
+                path: {
+                    requiredIf: object => object.type === "file",
+                    merge: "replace",
+                    validate: "string"
+                }
+            });
+
+            schema.validate({ type: "memory" });
+            schema.validate({ type: "file", path: "a.txt" });
+
+            assert.throws(() => {
+                schema.validate({ type: "file" });
+            }, /Missing key "path", which is required based on the values of other keys./);
+        });
+
+        it("should report an error thrown by a requiredIf function", () => {
+            schema = new ObjectSchema({
+                a: {
+                    requiredIf: object => object.b.c,
+                    merge: "replace",
+                    validate: "number"
+                },
+                b: {
+                    merge: "replace",
+                    validate: "object"
+                }
+            });
+
+            const result = schema.validateAll({});
+
+            assert.isFalse(result.valid);
+            assert.strictEqual(result.errors.length, 1);
+            assert.instanceOf(result.errors[0].error, WrapperError);
+            assert.deepStrictEqual(result.errors[0].path, ["a"]);
+            assert.instanceOf(result.errors[0].error.originalError, TypeError);
+
+            assert.throws(() => {
+                schema.validate({});
+            }, WrapperError);
+        });
+
+        it("should check relationships between keys in subschemas", () => {
+            schema = new ObjectSchema({
+                options: {
+                    schema: {
+                        a: {
+                            conflicts: ["b"],
+                            merge: "replace",
+                            validate: "number"
+                        },
+                        b: {
+                            merge: "replace",
+                            validate: "number"
+                        }
+                    }
+                }
+            });
+
+            assert.throws(() => {
+                schema.validate({ options: { a: 1, b: 2 } });
+            }, /Key "options": Key "a" can't be used with keys "b"./);
+        });
+
+        it("should check relationships when merging", () => {
+            schema = new ObjectSchema({
+                a: {
+                    conflicts: ["b"],
+                    merge: "replace",
+                    validate: "number"
+                },
+                b: {
+                    merge: "replace",
+                    validate: "number"
+                }
+            });
+
+            assert.throws(() => {
+                schema.merge({ a: 1 }, { a: 2, b: 2 });
+            }, /Key "a" can't be used with keys "b"./);
+        });
+
+        it("should describe relationships in the JSON Schema", () => {
+            schema = new ObjectSchema({
+                a: {
+                    conflicts: ["b"],
+                    oneOf: "group",
+                    merge: "replace",
+                    validate: "number"
+                },
+                b: {
+                    merge: "replace",
+                    validate: "number"
+                },
+                c: {
+                    oneOf: "group",
+                    merge: "replace",
+                    validate: "number"
+                }
+            });
+
+            const result = schema.toJSONSchema();
+
+            assert.deepStrictEqual(result.dependentSchemas, {
+                a: { not: { anyOf: [{ required: ["b"] }] } }
+            });
+            assert.deepStrictEqual(result.oneOf, [
+                { required: ["a"] },
+                { required: ["c"] }
+            ]);
+        });
+
+        it("should throw an error when a relationship property is invalid", () => {
+            assert.throws(() => {
+                new ObjectSchema({
+                    a: { conflicts: "b", merge: "replace", validate: "number" }
+                });
+            }, /Definition for key "a" must have a conflicts property that is an array of strings./);
+
+            assert.throws(() => {
+                new ObjectSchema({
+                    a: { oneOf: ["b"], merge: "replace", validate: "number" }
+                });
+            }, /Definition for key "a" must have a oneOf property that is a string./);
+
+            assert.throws(() => {
+                new ObjectSchema({
+                    a: { requiredIf: true, merge: "replace", validate: "number" }
+                });
+            }, /Definition for key "a" must have a requiredIf property that is a function./);
+        });
+
+        it("should throw an error when a pattern definition has a oneOf property", () => {
+            assert.throws(() => {
+                new ObjectSchema({
+                    "*": { oneOf: "group", merge: "replace", validate: "number" }
+                });
+            }, /Definition for key "\*" matches multiple keys and can't have a oneOf or requiredIf property./);
+        });
+
+    });
+
+    describe("Object validation", () => {
+
+        const definitions = {
+            min: {
+                merge: "replace",
+                validate: "number"
+            },
+            max: {
+                merge: "replace",
+                validate: "number"
+            }
+        };
+
+        /**
+         * Throws an error when max is less than min.
+         * @param {Object} object The object to validate.
+         * @returns {void}
+         */
+        function validateRange({ min = -Infinity, max = Infinity }) {
+            if (max < min) {
+                throw new RangeError("Expected max to be greater than or equal to min.");
+            }
+        }
+
+        it("should call the validate option with the entire object", () => {
+            schema = new ObjectSchema(definitions, { validate: validateRange });
+
+            schema.validate({ min: 1, max: 2 });
+
+            assert.throws(() => {
+                schema.validate({ min: 2, max: 1 });
+            }, /Expected max to be greater than or equal to min./);
+        });
+
+        it("should throw an InvalidObjectError with the original error", () => {
+            schema = new ObjectSchema(definitions, { validate: validateRange });
+
+            const result = schema.validateAll({ min: 2, max: 1 });
+
+            assert.strictEqual(result.errors.length, 1);
+            assert.instanceOf(result.errors[0].error, InvalidObjectError);
+            assert.instanceOf(result.errors[0].error.originalError, RangeError);
+            assert.deepStrictEqual(result.errors[0].path, []);
+        });
+
+        it("should not call the validate option when a key is invalid", () => {
+            let called = false;
+
+            schema = new ObjectSchema(definitions, {
+                validate() {
+                    called = true;
+                }
+            });
+
+            const result = schema.validateAll({ min: "1" });
+
+            assert.strictEqual(result.errors.length, 1);
+            assert.isFalse(called);
+        });
+
+        it("should call the validate option after each step of merging", () => {
+            schema = new ObjectSchema(definitions, { validate: validateRange });
+
+            assert.deepStrictEqual(schema.merge({ min: 1 }, { max: 2 }), { min: 1, max: 2 });
+
+            assert.throws(() => {
+                schema.merge({ min: 1, max: 5 }, { min: 3 }, { max: 2 });
+            }, /Expected max to be greater than or equal to min./);
+        });
+
+        it("should not pass the validate option to subschemas", () => {
+            schema = new ObjectSchema({
+                range: {
+                    schema: definitions
+                }
+            }, {
+                validate(object) {
+                    assert.property(object, "range");
+                }
+            });
+
+            schema.validate({ range: { min: 1 } });
+        });
+
+        it("should throw an error when the validate option isn't a function", () => {
+            assert.throws(() => {
+                new ObjectSchema(definitions, { validate: "number" });
+            }, /Option "validate" must be a function./);
+        });
+
+        it("should pass the key and object to validation strategies", () => {
+            const contexts = [];
+
+            schema = new ObjectSchema({
+                min: {
+                    merge: "replace",
+                    validate: "number"
+                },
+                max: {
+                    merge: "replace",
+                    validate(value, context) {
+                        contexts.push(context);
+
+                        if (value < context.object.min) {
+                            throw new RangeError("Expected a number greater than or equal to min.");
+                        }
+                    }
+                }
+            });
+
+            const object = { min: 1, max: 2 };
+            schema.validate(object);
+            assert.strictEqual(contexts.length, 1);
+            assert.strictEqual(contexts[0].key, "max");
+            assert.strictEqual(contexts[0].object, object);
+
+            assert.throws(() => {
+                schema.validate({ min: 2, max: 1 });
+            }, /Key "max": Expected a number greater than or equal to min./);
+        });
+
+        it("should pass the context through validation options", () => {
+            let context;
+
+            schema = new ObjectSchema({
+                values: {
+                    merge: "replace",
+                    validate: {
+                        nullable: true,
+                        arrayOf: ["string", (value, ctx) => {
+                            context = ctx;
+                            ValidationStrategy.number(value);
+                        }]
+                    }
+                }
+            });
+
+            const object = { values: [1] };
+            schema.validate(object);
+            assert.strictEqual(context.key, "values");
+            assert.strictEqual(context.object, object);
+        });
+
+    });
+
+    describe("normalize() and parse()", () => {
+
+        beforeEach(() => {
+            schema = new ObjectSchema({
+                files: {
+                    normalize: ["trim", "array"],
+                    merge: "concat",
+                    validate: { arrayOf: "string" }
+                },
+                cache: {
+                    normalize: "boolean",
+                    merge: "replace",
+                    validate: "boolean"
+                },
+                options: {
+                    schema: {
+                        maxWarnings: {
+                            normalize: "number",
+                            merge: "replace",
+                            validate: "integer"
+                        }
+                    }
+                },
+                overrides: {
+                    normalize: "array",
+                    items: {
+                        strict: {
+                            normalize: "boolean",
+                            merge: "replace",
+                            validate: "boolean"
+                        }
+                    }
+                },
+                name: {
+                    merge: "replace",
+                    validate: "string"
+                }
+            });
+        });
+
+        it("should return a normalized copy without changing the object", () => {
+            const object = {
+                files: " a.js ",
+                cache: "true",
+                options: { maxWarnings: "10" },
+                overrides: { strict: "false" },
+                name: " foo "
+            };
+
+            const result = schema.normalize(object);
+
+            assert.deepStrictEqual(result, {
+                files: ["a.js"],
+                cache: true,
+                options: { maxWarnings: 10 },
+                overrides: [{ strict: false }],
+                name: " foo "
+            });
+            assert.strictEqual(object.files, " a.js ");
+            assert.strictEqual(object.options.maxWarnings, "10");
+        });
+
+        it("should not validate the object", () => {
+            assert.deepStrictEqual(schema.normalize({ cache: "yes", foo: 1 }), { cache: "yes", foo: 1 });
+        });
+
+        it("should return the normalized object from parse() when it's valid", () => {
+            assert.deepStrictEqual(schema.parse({ files: "a.js", cache: "false" }), {
+                files: ["a.js"],
+                cache: false
+            });
+        });
+
+        it("should throw an error from parse() when the normalized object is invalid", () => {
+            assert.throws(() => {
+                schema.parse({ cache: "yes" });
+            }, /Key "cache": Expected a Boolean/);
+
+            assert.throws(() => {
+                schema.parse("foo");
+            }, /Expected an object/);
+        });
+
+        it("should pass the key and object to normalize methods", () => {
+            const object = { foo: "a" };
+            let context;
+
+            schema = new ObjectSchema({
+                foo: {
+                    normalize(value, ctx) {
+                        context = ctx;
+                        return value;
+                    },
+                    merge: "replace",
+                    validate: "string"
+                }
+            });
+
+            schema.normalize(object);
+            assert.deepStrictEqual(context, { key: "foo", object });
+        });
+
+        it("should use normalization strategies from the registry", () => {
+            const registry = new StrategyRegistry()
+                .addNormalizationStrategy("lowercase", value => value.toLowerCase());
+
+            schema = new ObjectSchema({
+                level: {
+                    normalize: "lowercase",
+                    merge: "replace",
+                    validate: { oneOf: ["warn", "error"] }
+                }
+            }, { registry });
+
+            assert.deepStrictEqual(schema.parse({ level: "WARN" }), { level: "warn" });
+        });
+
+        it("should wrap errors thrown by normalize methods", () => {
+            schema = new ObjectSchema({
+                foo: {
+                    normalize() {
+                        throw new Error("Can't normalize.");
+                    },
+                    merge: "replace",
+                    validate: "string"
+                }
+            });
+
+            assert.throws(() => {
+                schema.normalize({ foo: "a" });
+            }, /Key "foo": Can't normalize./);
+        });
+
+        it("should throw an error when the normalize property is invalid", () => {
+            assert.throws(() => {
+                new ObjectSchema({
+                    foo: {
+                        normalize: "bolean",
+                        merge: "replace",
+                        validate: "boolean"
+                    }
+                });
+            }, /"bolean" is not a known normalization strategy. Did you mean "boolean"\?/);
+
+            assert.throws(() => {
+                new ObjectSchema({
+                    foo: {
+                        normalize: true,
+                        merge: "replace",
+                        validate: "boolean"
+                    }
+                });
+            }, /Definition for key "foo" must have a normalize property that is a function, string, or array./);
+        });
+
+    });
+
+    describe("validateAsync() and mergeAsync()", () => {
+
+        /**
+         * Creates a promise that resolves after a delay.
+         * @param {number} ms The number of milliseconds to wait.
+         * @returns {Promise<void>} A promise that resolves after the delay.
+         */
+        function delay(ms) {
+            return new Promise(resolve => setTimeout(resolve, ms));
+        }
+
+        /**
+         * Returns the error a promise is rejected with.
+         * @param {Promise} promise The promise that should be rejected.
+         * @returns {Promise<Error>} The error.
+         */
+        async function getRejection(promise) {
+            try {
+                await promise;
+            } catch (ex) {
+                return ex;
+            }
+
+            throw new Error("Expected the promise to be rejected.");
+        }
+
+        beforeEach(() => {
+            schema = new ObjectSchema({
+                file: {
+                    merge: "replace",
+                    async validate(value) {
+                        await delay(5);
+
+                        if (!value.endsWith(".js")) {
+                            throw new TypeError("Expected a JavaScript file.");
+                        }
+                    }
+                },
+                count: {
+                    async merge(first = 0, second = 0) {
+                        await delay(1);
+                        return first + second;
+                    },
+                    validate: "number"
+                },
+                options: {
+                    schema: {
+                        parser: {
+                            merge: "replace",
+                            async validate(value) {
+                                await delay(1);
+                                ValidationStrategy.string(value);
+                            }
+                        }
+                    }
+                }
+            });
+        });
+
+        it("should resolve when every asynchronous strategy passes", async () => {
+            await schema.validateAsync({ file: "a.js", count: 1, options: { parser: "espree" } });
+        });
+
+        it("should reject with a WrapperError when an asynchronous strategy fails", async () => {
+            const error = await getRejection(schema.validateAsync({ file: "a.ts" }));
+
+            assert.instanceOf(error, WrapperError);
+            assert.strictEqual(error.message, "Key \"file\": Expected a JavaScript file.");
+            assert.deepStrictEqual(error.path, ["file"]);
+        });
+
+        it("should reject with the first failure in key order", async () => {
+            const error = await getRejection(schema.validateAsync({
+                file: "a.ts",
+                options: { parser: 1 }
+            }));
+
+            assert.strictEqual(error.message, "Key \"file\": Expected a JavaScript file.");
+        });
+
+        it("should reject with failures from subschemas", async () => {
+            const error = await getRejection(schema.validateAsync({ options: { parser: 1 } }));
+
+            assert.strictEqual(error.message, "Key \"options\": Key \"parser\": Expected a string.");
+            assert.deepStrictEqual(error.path, ["options", "parser"]);
+        });
+
+        it("should reject with synchronous failures", async () => {
+            const error = await getRejection(schema.validateAsync({ foo: true }));
+
+            assert.instanceOf(error, UnexpectedKeyError);
+        });
+
+        it("should run asynchronous validate strategies concurrently", async () => {
+            const events = [];
+            const validate = async (value, { key }) => {
+                events.push(`start ${key}`);
+                await delay(value);
+                events.push(`end ${key}`);
+            };
+
+            schema = new ObjectSchema({
+                a: { merge: "replace", validate },
+                b: { merge: "replace", validate }
+            });
+
+            await schema.validateAsync({ a: 10, b: 1 });
+            assert.deepStrictEqual(events, ["start a", "start b", "end b", "end a"]);
+        });
+
+        it("should wait for the object validate option", async () => {
+            schema = new ObjectSchema({
+                min: { merge: "replace", validate: "number" },
+                max: { merge: "replace", validate: "number" }
+            }, {
+                async validate({ min, max }) {
+                    await delay(1);
+
+                    if (max < min) {
+                        throw new RangeError("Expected max to be greater than or equal to min.");
+                    }
+                }
+            });
+
+            await schema.validateAsync({ min: 1, max: 2 });
+
+            const error = await getRejection(schema.validateAsync({ min: 2, max: 1 }));
+            assert.instanceOf(error, InvalidObjectError);
+        });
+
+        it("should throw an error when validate() finds a promise", () => {
+            assert.throws(() => {
+                schema.validate({ file: "a.js" });
+            }, /Key "file": Strategy returned a promise. Use validateAsync\(\) instead./);
+        });
+
+        it("should throw an error when merge() finds a promise", () => {
+            assert.throws(() => {
+                schema.merge({ count: 1 }, { count: 2 });
+            }, /Key "count": Strategy returned a promise. Use mergeAsync\(\) instead./);
+        });
+
+        it("should merge with asynchronous strategies", async () => {
+            const result = await schema.mergeAsync(
+                { file: "a.js", count: 1, options: { parser: "espree" } },
+                { count: 2 },
+                { file: "b.js", options: { parser: "babel" } }
+            );
+
+            assert.deepStrictEqual(result, {
+                file: "b.js",
+                count: 3,
+                options: { parser: "babel" }
+            });
+        });
+
+        it("should merge items with asynchronous strategies", async () => {
+            const itemDefinitions = {
+                name: {
+                    merge: "replace",
+                    async validate(value) {
+                        await delay(1);
+                        ValidationStrategy.string(value);
+                    }
+                },
+                count: {
+                    merge: (first = 0, second = 0) => first + second,
+                    validate: "number"
+                }
+            };
+
+            schema = new ObjectSchema({
+                list: { items: itemDefinitions },
+                plugins: { items: itemDefinitions, itemKey: "name" }
+            });
+
+            const result = await schema.mergeAsync(
+                { list: [{ name: "a", count: 1 }], plugins: [{ name: "a", count: 1 }] },
+                { list: [{ name: "b", count: 2 }, { name: "c" }], plugins: [{ name: "a", count: 2 }] },
+                { plugins: [{ name: "a", count: 3 }, { name: "b" }] }
+            );
+
+            assert.deepStrictEqual(result, {
+                list: [{ name: "b", count: 3 }, { name: "c" }],
+                plugins: [{ name: "a", count: 6 }, { name: "b" }]
+            });
+
+            const error = await getRejection(schema.mergeAsync({ list: [{ name: "a" }] }, { list: [{ name: 1 }] }));
+            assert.strictEqual(error.message, "Key \"list\": Index 0: Key \"name\": Expected a string.");
+        });
+
+        it("should wait for subschemas in validation options", async () => {
+            schema = new ObjectSchema({
+                options: {
+                    merge: "replace",
+                    validate: {
+                        nullable: true,
+                        schema: {
+                            parser: {
+                                merge: "replace",
+                                async validate(value) {
+                                    await delay(1);
+                                    ValidationStrategy.string(value);
+                                }
+                            }
+                        }
+                    }
+                },
+                list: {
+                    merge: "concat",
+                    validate: {
+                        arrayOf: {
+                            schema: {
+                                name: {
+                                    merge: "replace",
+                                    async validate(value) {
+                                        await delay(1);
+                                        ValidationStrategy.string(value);
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            });
+
+            await schema.validateAsync({ options: { parser: "espree" }, list: [{ name: "a" }] });
+            await schema.validateAsync({ options: null });
+
+            let error = await getRejection(schema.validateAsync({ options: { parser: 1 } }));
+            assert.strictEqual(error.message, "Key \"options\": Key \"parser\": Expected a string.");
+
+            error = await getRejection(schema.validateAsync({ list: [{ name: "a" }, { name: 1 }] }));
+            assert.strictEqual(error.message, "Key \"list\": Index 1: Key \"name\": Expected a string.");
+
+            assert.throws(() => {
+                schema.validate({ options: { parser: "espree" } });
+            }, /Strategy returned a promise. Use validateAsync\(\) instead./);
+        });
+
+        it("should wait for asynchronous alternatives", async () => {
+            const first = new ObjectSchema({
+                x: { required: true, merge: "replace", validate: "number" }
+            });
+            const second = new ObjectSchema({
+                y: { required: true, merge: "replace", validate: "string" }
+            });
+
+            schema = new ObjectSchema({
+                value: {
+                    merge: "replace",
+                    validate: [{ schema: first }, { schema: second }]
+                },
+                file: {
+                    merge: "replace",
+                    validate: [
+                        async value => {
+                            await delay(1);
+                            ValidationStrategy.number(value);
+                        },
+                        "string"
+                    ]
+                }
+            });
+
+            await schema.validateAsync({ value: { x: 1 } });
+            await schema.validateAsync({ value: { y: "ok" } });
+            await schema.validateAsync({ file: "a.js" });
+
+            const error = await getRejection(schema.validateAsync({ value: { z: 1 } }));
+            assert.instanceOf(error, WrapperError);
+            assert.match(error.message, /^Key "value": Expected one of the following: \(1\) Unexpected key "z" found\. \(2\) Unexpected key "z" found\.$/);
+        });
+
+        it("should throw an error when validate() finds an asynchronous alternative", () => {
+            schema = new ObjectSchema({
+                file: {
+                    merge: "replace",
+                    validate: [
+                        async value => {
+                            await delay(1);
+                            ValidationStrategy.number(value);
+                        },
+                        "string"
+                    ]
+                }
+            });
+
+            assert.throws(() => {
+                schema.validate({ file: 1 });
+            }, /Key "file": Strategy returned a promise. Use validateAsync\(\) instead./);
+        });
+
+        it("should reject when an object is invalid", async () => {
+            const error = await getRejection(schema.mergeAsync({ file: "a.js" }, { file: "b.ts" }));
+
+            assert.instanceOf(error, WrapperError);
+            assert.strictEqual(error.message, "Key \"file\": Expected a JavaScript file.");
+        });
+
+        it("should reject with a WrapperError when an asynchronous merge strategy fails", async () => {
+            schema = new ObjectSchema({
+                foo: {
+                    async merge() {
+                        throw new Error("Can't merge.");
+                    },
+                    validate: "string"
+                }
+            });
+
+            const error = await getRejection(schema.mergeAsync({ foo: "a" }, { foo: "b" }));
+
+            assert.instanceOf(error, WrapperError);
+            assert.strictEqual(error.message, "Key \"foo\": Can't merge.");
+        });
+
+        it("should reject when mergeAsync() has fewer than two arguments", async () => {
+            const error = await getRejection(schema.mergeAsync({}));
+
+            assert.match(error.message, /mergeAsync\(\) requires at least two arguments./);
+        });
+
+        it("should merge like merge() when strategies are synchronous", async () => {
+            schema = new ObjectSchema({
+                foo: {
+                    merge: "concat",
+                    validate: "array"
+                },
+                bar: {
+                    merge: "replace",
+                    validate: "string",
+                    default: "baz"
+                }
+            }, { unknownKeys: "passthrough" });
+
+            const objects = [{ foo: [1], qux: 1 }, { foo: [2] }];
+
+            assert.deepStrictEqual(await schema.mergeAsync(...objects), schema.merge(...objects));
+        });
+
+    });
+
+    describe("mergeWithProvenance()", () => {
+
+        beforeEach(() => {
+            schema = new ObjectSchema({
+                name: {
+                    merge: "replace",
+                    validate: "string"
+                },
+                plugins: {
+                    merge: "assign",
+                    validate: "object"
+                },
+                options: {
+                    schema: {
+                        parser: {
+                            merge: "replace",
+                            validate: "string"
+                        },
+                        globals: {
+                            merge: "assign",
+                            validate: "object"
+                        }
+                    }
+                },
+                cache: {
+                    merge: "replace",
+                    validate: "boolean",
+                    default: false
+                }
+            });
+        });
+
+        it("should return the same result as merge()", () => {
+            const objects = [
+                { name: "a", options: { parser: "espree" } },
+                { plugins: { a: 1 }, options: { globals: { b: true } } }
+            ];
+
+            assert.deepStrictEqual(schema.mergeWithProvenance(objects).result, schema.merge(...objects));
+        });
+
+        it("should map each key path to the indexes of the objects that produced it", () => {
+            const { provenance } = schema.mergeWithProvenance([
+                { name: "a", plugins: { a: 1 }, options: { parser: "espree" } },
+                { name: "b", options: { globals: { foo: true } } },
+                { plugins: { b: 1 }, options: { parser: "babel", globals: { bar: true } } }
+            ]);
+
+            assert.deepStrictEqual([...provenance], [
+                ["/name", [1]],
+                ["/plugins", [0, 2]],
+                ["/options/parser", [2]],
+                ["/options", [0, 1, 2]],
+                ["/options/globals", [1, 2]]
+            ]);
+        });
+
+        it("should use labels in place of indexes", () => {
+            const { provenance } = schema.mergeWithProvenance([
+                { name: "a" },
+                { plugins: { a: 1 } }
+            ], { labels: ["defaults.js", "user.js"] });
+
+            assert.deepStrictEqual(provenance.get("/name"), ["defaults.js"]);
+            assert.deepStrictEqual(provenance.get("/plugins"), ["user.js"]);
+        });
+
+        it("should not have entries for keys with default values", () => {
+            const { result, provenance } = schema.mergeWithProvenance([{ name: "a" }, {}]);
+
+            assert.isFalse(result.cache);
+            assert.isFalse(provenance.has("/cache"));
+        });
+
+        it("should track unknown keys that are copied", () => {
+            schema = new ObjectSchema({}, { unknownKeys: "passthrough" });
+
+            const { provenance } = schema.mergeWithProvenance([{ foo: 1 }, { foo: 2, bar: 3 }]);
+
+            assert.deepStrictEqual(provenance.get("/foo"), [1]);
+            assert.deepStrictEqual(provenance.get("/bar"), [1]);
+        });
+
+        it("should escape keys containing separators", () => {
+            schema = new ObjectSchema({
+                "*": {
+                    schema: {
+                        "*": {
+                            merge: "replace",
+                            validate: "number"
+                        }
+                    }
+                }
+            });
+
+            const { provenance } = schema.mergeWithProvenance([
+                { "a.b": { c: 1 }, a: { b: 1, "d/e~f": 2 } },
+                { "*.js": { c: 2 } }
+            ]);
+
+            assert.deepStrictEqual([...provenance], [
+                ["/a.b/c", [0]],
+                ["/a.b", [0]],
+                ["/a/b", [0]],
+                ["/a/d~1e~0f", [0]],
+                ["/a", [0]],
+                ["/*.js/c", [1]],
+                ["/*.js", [1]]
+            ]);
+        });
+
+        it("should throw an error when the labels don't match the objects", () => {
+            assert.throws(() => {
+                schema.mergeWithProvenance([{}, {}], { labels: ["a"] });
+            }, /Option "labels" must be an array with one label for each object./);
+        });
+
+        it("should throw an error when objects isn't an array", () => {
+            assert.throws(() => {
+                schema.mergeWithProvenance({}, {});
+            }, /mergeWithProvenance\(\) requires an array of objects./);
+        });
+
+    });
+
+    describe("keys() and getDefinition()", () => {
+
+        let definitions;
+
+        beforeEach(() => {
+            definitions = {
+                name: {
+                    requires: ["version"],
+                    merge: "replace",
+                    validate: "string"
+                },
+                version: {
+                    merge: "replace",
+                    validate: { pattern: /^\d+\.\d+\.\d+$/ }
+                },
+                options: {
+                    schema: {
+                        parser: {
+                            merge: "replace",
+                            validate: "string"
+                        }
+                    }
+                },
+                "*": {
+                    merge: "replace",
+                    validate: "boolean"
+                }
+            };
+
+            schema = new ObjectSchema(definitions);
+        });
+
+        it("should not change the definitions", () => {
+            const copy = {
+                ...definitions,
+                name: { ...definitions.name },
+                options: { ...definitions.options }
+            };
+
+            assert.deepStrictEqual(definitions, copy);
+            assert.strictEqual(definitions.name.merge, "replace");
+            assert.deepStrictEqual(Object.getOwnPropertySymbols(definitions.options), []);
+        });
+
+        it("should create the same schema when definitions are reused", () => {
+            const second = new ObjectSchema(definitions);
+
+            assert.deepStrictEqual(second.toJSONSchema(), schema.toJSONSchema());
+            assert.deepStrictEqual(
+                second.merge({ name: "a", version: "1.0.0" }, { options: { parser: "espree" } }),
+                schema.merge({ name: "a", version: "1.0.0" }, { options: { parser: "espree" } })
+            );
+        });
+
+        it("should list every key in the definitions", () => {
+            assert.deepStrictEqual(schema.keys(), ["name", "version", "options", "*"]);
+        });
+
+        it("should return the normalized definition for a key", () => {
+            const definition = schema.getDefinition("name");
+
+            assert.strictEqual(definition.merge, MergeStrategy.replace);
+            assert.strictEqual(definition.validate, ValidationStrategy.string);
+            assert.deepStrictEqual(definition.requires, ["version"]);
+            assert.typeOf(schema.getDefinition("version").validate, "function");
+            assert.typeOf(schema.getDefinition("options").merge, "function");
+            assert.strictEqual(schema.getDefinition("*").validate, ValidationStrategy.boolean);
+        });
+
+        it("should return undefined for a key without a definition", () => {
+            assert.isUndefined(schema.getDefinition("foo"));
+        });
+
+        it("should return a frozen definition", () => {
+            const definition = schema.getDefinition("name");
+
+            assert.isFrozen(definition);
+            assert.isFrozen(definition.requires);
+            assert.throws(() => {
+                definition.merge = MergeStrategy.assign;
+            }, TypeError);
+            assert.notStrictEqual(definition.requires, definitions.name.requires);
+        });
+
+        it("should return a frozen copy of nested definitions", () => {
+            const definition = schema.getDefinition("options");
+
+            assert.isFrozen(definition.schema);
+            assert.isFrozen(definition.schema.parser);
+            assert.notStrictEqual(definition.schema, definitions.options.schema);
+            assert.throws(() => {
+                definition.schema.parser.validate = "number";
+            }, TypeError);
+            assert.strictEqual(definitions.options.schema.parser.validate, "string");
+        });
+
+    });
+
+    describe("Composition", () => {
+
+        let base;
+
+        beforeEach(() => {
+            base = new ObjectSchema({
+                name: {
+                    required: true,
+                    merge: "replace",
+                    validate: "string"
+                },
+                version: {
+                    merge: "replace",
+                    validate: "string"
+                },
+                options: {
+                    schema: {
+                        strict: {
+                            merge: "replace",
+                            validate: "boolean"
+                        }
+                    }
+                }
+            });
+        });
+
+        describe("extend()", () => {
+
+            it("should return a new schema with additional keys", () => {
+                schema = base.extend({
+                    rules: {
+                        merge: "assign",
+                        validate: "object"
+                    }
+                });
+
+                assert.notStrictEqual(schema, base);
+                assert.deepStrictEqual(schema.keys(), ["name", "version", "options", "rules"]);
+                schema.validate({ name: "a", rules: {} });
+
+                assert.throws(() => {
+                    base.validate({ name: "a", rules: {} });
+                }, /Unexpected key "rules" found./);
+            });
+
+            it("should not use changes made to definitions after the schema was created", () => {
+                const definitions = {
+                    a: {
+                        requires: ["b"],
+                        merge: "replace",
+                        validate: "string"
+                    },
+                    b: {
+                        merge: "replace",
+                        validate: "string"
+                    },
+                    c: {
+                        schema: {
+                            d: {
+                                merge: "replace",
+                                validate: "string"
+                            }
+                        }
+                    }
+                };
+
+                base = new ObjectSchema(definitions);
+                definitions.a.validate = "number";
+                definitions.a.requires.push("c");
+                definitions.c.schema.d.validate = "number";
+
+                for (const derived of [
+                    base.extend({ e: { merge: "replace", validate: "string" } }),
+                    base.pick(["a", "b", "c"]),
+                    base.omit([]),
+                    ObjectSchema.combine(base, new ObjectSchema({}))
+                ]) {
+                    derived.validate({ a: "x", b: "y", c: { d: "z" } });
+                }
+            });
+
+            it("should allow a key with the same definition", () => {
+                schema = base.extend({
+                    version: {
+                        merge: "replace",
+                        validate: "string"
+                    }
+                });
+
+                assert.deepStrictEqual(schema.keys(), ["name", "version", "options"]);
+            });
+
+            it("should throw an error when a key has a different definition", () => {
+                assert.throws(() => {
+                    base.extend({
+                        version: {
+                            merge: "replace",
+                            validate: "number"
+                        }
+                    });
+                }, /Key "version" has conflicting definitions./);
+            });
+
+            it("should keep the options of the schema", () => {
+                base = new ObjectSchema({
+                    min: { merge: "replace", validate: "number" }
+                }, {
+                    unknownKeys: "strip",
+                    validate({ min, max }) {
+                        if (max < min) {
+                            throw new RangeError("Expected max to be greater than or equal to min.");
+                        }
+                    }
+                });
+
+                schema = base.extend({
+                    max: { merge: "replace", validate: "number" }
+                });
+
+                assert.deepStrictEqual(schema.merge({ min: 1, foo: true }, { max: 2 }), { min: 1, max: 2 });
+                assert.throws(() => {
+                    schema.validate({ min: 2, max: 1 });
+                }, /Expected max to be greater than or equal to min./);
+            });
+
+        });
+
+        describe("pick()", () => {
+
+            it("should return a new schema with only the given keys", () => {
+                schema = base.pick(["name", "options"]);
+
+                assert.deepStrictEqual(schema.keys(), ["name", "options"]);
+                schema.validate({ name: "a", options: { strict: true } });
+
+                assert.throws(() => {
+                    schema.validate({ name: "a", version: "1.0.0" });
+                }, /Unexpected key "version" found./);
+            });
+
+            it("should throw an error when a key isn't defined", () => {
+                assert.throws(() => {
+                    base.pick(["name", "toString"]);
+                }, /Key "toString" isn't defined in the schema./);
+            });
+
+        });
+
+        describe("omit()", () => {
+
+            it("should return a new schema without the given keys", () => {
+                schema = base.omit(["name"]);
+
+                assert.deepStrictEqual(schema.keys(), ["version", "options"]);
+                schema.validate({});
+            });
+
+            it("should throw an error when the keys aren't an array", () => {
+                assert.throws(() => {
+                    base.omit("name");
+                }, /Keys must be an array./);
+            });
+
+        });
+
+        describe("ObjectSchema.combine()", () => {
+
+            it("should return a new schema with the keys of each schema", () => {
+                schema = ObjectSchema.combine(base, new ObjectSchema({
+                    version: {
+                        merge: "replace",
+                        validate: "string"
+                    },
+                    plugins: {
+                        merge: "union",
+                        validate: { arrayOf: "string" }
+                    }
+                }));
+
+                assert.deepStrictEqual(schema.keys(), ["name", "version", "options", "plugins"]);
+                assert.deepStrictEqual(
+                    schema.merge({ name: "a", plugins: ["x"] }, { name: "b", plugins: ["x", "y"] }),
+                    { name: "b", plugins: ["x", "y"] }
+                );
+            });
+
+            it("should throw an error when a key has different definitions", () => {
+                assert.throws(() => {
+                    ObjectSchema.combine(base, new ObjectSchema({
+                        name: {
+                            merge: "replace",
+                            validate: "string"
+                        }
+                    }));
+                }, /Key "name" has conflicting definitions./);
+            });
+
+            it("should throw an error when the schemas have different options", () => {
+                assert.throws(() => {
+                    ObjectSchema.combine(base, new ObjectSchema({}, { unknownKeys: "strip" }));
+                }, /Schemas must have the same "unknownKeys" option./);
+
+                assert.throws(() => {
+                    ObjectSchema.combine(base, new ObjectSchema({}, { registry: new StrategyRegistry() }));
+                }, /Schemas must have the same "registry" option./);
+            });
+
+            it("should call the validate option of each schema", () => {
+                const calls = [];
+
+                schema = ObjectSchema.combine(
+                    new ObjectSchema({}, { validate: () => calls.push("first") }),
+                    new ObjectSchema({}),
+                    new ObjectSchema({}, { validate: () => calls.push("third") })
+                );
+
+                schema.validate({});
+                assert.deepStrictEqual(calls, ["first", "third"]);
+            });
+
+            it("should throw an error when an argument isn't a schema", () => {
+                assert.throws(() => {
+                    ObjectSchema.combine(base, {});
+                }, /All arguments must be ObjectSchema instances./);
+
+                assert.throws(() => {
+                    ObjectSchema.combine(base);
+                }, /combine\(\) requires at least two arguments./);
+            });
+
+        });
+
+    });
+
+    describe("ObjectSchema instances as subschemas", () => {
+
+        let position;
+
+        beforeEach(() => {
+            position = new ObjectSchema({
+                line: {
+                    required: true,
+                    merge: "replace",
+                    validate: "integer"
+                },
+                column: {
+                    merge: "replace",
+                    validate: "integer",
+                    default: 0
+                }
+            });
+        });
+
+        it("should use an ObjectSchema instance as a subschema", () => {
+            schema = new ObjectSchema({
+                start: { schema: position },
+                end: { schema: position }
+            });
+
+            schema.validate({ start: { line: 1 }, end: { line: 2, column: 5 } });
+
+            assert.throws(() => {
+                schema.validate({ start: { line: 1 }, end: { column: 5 } });
+            }, /Key "end": Missing required key "line"./);
+
+            assert.deepStrictEqual(schema.applyDefaults({ start: { line: 1 } }), {
+                start: { line: 1, column: 0 }
+            });
+        });
+
+        it("should use an ObjectSchema instance for items", () => {
+            schema = new ObjectSchema({
+                positions: { items: position }
+            });
+
+            assert.throws(() => {
+                schema.validate({ positions: [{ line: 1 }, { line: "2" }] });
+            }, /Key "positions": Index 1: Key "line": Expected an integer./);
+        });
+
+        it("should use an ObjectSchema instance or lazy reference in validation options", () => {
+            schema = new ObjectSchema({
+                start: {
+                    merge: "replace",
+                    validate: { schema: position, nullable: true }
+                },
+                positions: {
+                    merge: "concat",
+                    validate: { arrayOf: { schema: () => position } }
+                }
+            });
+
+            schema.validate({ start: { line: 1 }, positions: [{ line: 2 }] });
+            schema.validate({ start: null });
+
+            assert.throws(() => {
+                schema.validate({ start: { column: 1 } });
+            }, /Key "start": Missing required key "line"./);
+
+            assert.throws(() => {
+                schema.validate({ positions: [{ line: "2" }] });
+            }, /Key "positions": Index 0: Key "line": Expected an integer./);
+
+            const jsonSchema = schema.toJSONSchema();
+            assert.deepStrictEqual(jsonSchema.properties.start.type, ["object", "null"]);
+            assert.deepStrictEqual(jsonSchema.properties.start.required, ["line"]);
+            assert.deepStrictEqual(jsonSchema.properties.positions, { type: "array", items: { type: "object" } });
+        });
+
+        it("should use the options of the ObjectSchema instance", () => {
+            schema = new ObjectSchema({
+                position: {
+                    schema: new ObjectSchema({
+                        line: {
+                            merge: "replace",
+                            validate: "integer"
+                        }
+                    }, { unknownKeys: "passthrough" })
+                }
+            });
+
+            assert.deepStrictEqual(
+                schema.merge({ position: { line: 1 } }, { position: { offset: 5 } }),
+                { position: { line: 1, offset: 5 } }
+            );
+        });
+
+        it("should support schemas that refer to themselves with a function", () => {
+            const node = new ObjectSchema({
+                name: {
+                    required: true,
+                    merge: "replace",
+                    validate: "string"
+                },
+                children: {
+                    items: () => node
+                },
+                parent: {
+                    schema: () => node
+                }
+            });
+
+            node.validate({
+                name: "a",
+                children: [{ name: "b", children: [{ name: "c" }] }],
+                parent: { name: "root" }
+            });
+
+            const result = node.validateAll({
+                name: "a",
+                children: [{ name: "b", children: [{}] }]
+            });
+
+            assert.deepStrictEqual(result.errors.map(({ path }) => path), [
+                ["children", 0, "children", 0, "name"]
+            ]);
+        });
+
+        it("should not call the function until the schema is used", () => {
+            let calls = 0;
+
+            schema = new ObjectSchema({
+                position: {
+                    schema() {
+                        calls++;
+                        return position;
+                    }
+                }
+            });
+
+            assert.strictEqual(calls, 0);
+
+            schema.validate({ position: { line: 1 } });
+            schema.validate({ position: { line: 2 } });
+            assert.strictEqual(calls, 1);
+        });
+
+        it("should throw an error when the function doesn't return an ObjectSchema", () => {
+            schema = new ObjectSchema({
+                position: {
+                    schema: () => ({})
+                }
+            });
+
+            assert.throws(() => {
+                schema.validate({ position: {} });
+            }, /Definition for key "position" must have a schema function that returns an ObjectSchema./);
+        });
+
+        it("should describe recursive schemas in the JSON Schema with references", () => {
+            const node = new ObjectSchema({
+                name: {
+                    merge: "replace",
+                    validate: "string"
+                },
+                children: {
+                    items: () => node
+                }
+            });
+
+            schema = new ObjectSchema({
+                root: { schema: node }
+            });
+
+            assert.deepStrictEqual(node.toJSONSchema().properties.children, {
+                type: "array",
+                items: { $ref: "#" }
+            });
+
+            const result = schema.toJSONSchema();
+
+            assert.deepStrictEqual(result.properties.root, { $ref: "#/$defs/schema1" });
+            assert.deepStrictEqual(result.$defs.schema1.properties.children.items, {
+                $ref: "#/$defs/schema1"
+            });
+        });
+
+    });
+
+    describe("Deprecated keys and warnings", () => {
+
+        let warnings;
+
+        beforeEach(() => {
+            warnings = [];
+            schema = new ObjectSchema({
+                files: {
+                    merge: "union",
+                    validate: "array"
+                },
+                ignore: {
+                    deprecated: { message: "It will be removed in v3.", replacedBy: "ignores" },
+                    merge: "union",
+                    validate: "array"
+                },
+                ignores: {
+                    merge: "union",
+                    validate: "array"
+                },
+                cache: {
+                    deprecated: true,
+                    merge: "replace",
+                    validate: "boolean"
+                },
+                level: {
+                    merge: "replace",
+                    validate(value, { warn }) {
+                        ValidationStrategy.number(value);
+
+                        if (value > 5) {
+                            warn("Levels greater than 5 are slow.");
+                        }
+                    }
+                },
+                options: {
+                    schema: {
+                        legacy: {
+                            deprecated: "Use the \"modern\" option.",
+                            merge: "replace",
+                            validate: "boolean"
+                        }
+                    }
+                }
+            }, {
+                onWarning(warning) {
+                    warnings.push(warning);
+                }
+            });
+        });
+
+        it("should throw an error when deprecated is an invalid value", () => {
+            assert.throws(() => {
+                new ObjectSchema({
+                    foo: {
+                        deprecated: 1,
+                        merge: "replace",
+                        validate: "string"
+                    }
+                });
+            }, /Definition for key "foo" must have a deprecated property/);
+
+            assert.throws(() => {
+                new ObjectSchema({
+                    foo: {
+                        deprecated: { replacedBy: 1 },
+                        merge: "replace",
+                        validate: "string"
+                    }
+                });
+            }, /Definition for key "foo" must have a deprecated property/);
+        });
+
+        it("should throw an error when onWarning isn't a function", () => {
+            assert.throws(() => {
+                new ObjectSchema({}, { onWarning: "log" });
+            }, /Option "onWarning" must be a function/);
+        });
+
+        it("should report deprecated keys without failing validation", () => {
+            schema.validate({ ignore: ["a"], cache: true });
+
+            assert.deepStrictEqual(warnings, [
+                {
+                    code: "DEPRECATED_KEY",
+                    path: ["ignore"],
+                    message: "Key \"ignore\" is deprecated. Use \"ignores\" instead. It will be removed in v3.",
+                    replacedBy: "ignores"
+                },
+                {
+                    code: "DEPRECATED_KEY",
+                    path: ["cache"],
+                    message: "Key \"cache\" is deprecated."
+                }
+            ]);
+        });
+
+        it("should not report deprecated keys that aren't present", () => {
+            schema.validate({ files: [] });
+            assert.deepStrictEqual(warnings, []);
+        });
+
+        it("should report warnings from validation strategies", () => {
+            schema.validate({ level: 3 });
+            assert.deepStrictEqual(warnings, []);
+
+            schema.validate({ level: 6 });
+            assert.deepStrictEqual(warnings, [{
+                code: "VALIDATION_WARNING",
+                path: ["level"],
+                message: "Levels greater than 5 are slow."
+            }]);
+        });
+
+        it("should report warnings from subschemas with their full path", () => {
+            schema.validate({ options: { legacy: true } });
+
+            assert.deepStrictEqual(warnings, [{
+                code: "DEPRECATED_KEY",
+                path: ["options", "legacy"],
+                message: "Key \"legacy\" is deprecated. Use the \"modern\" option."
+            }]);
+        });
+
+        it("should report warnings from items with their index in the path", () => {
+            schema = new ObjectSchema({
+                overrides: {
+                    items: {
+                        files: {
+                            deprecated: true,
+                            merge: "replace",
+                            validate: "array"
+                        }
+                    }
+                }
+            });
+
+            const result = schema.validateAll({ overrides: [{}, { files: [] }] });
+
+            assert.deepStrictEqual(result.warnings.map(warning => warning.path), [["overrides", 1, "files"]]);
+        });
+
+        it("should return warnings from validateAll() and also call onWarning", () => {
+            const result = schema.validateAll({ cache: "yes", level: 10 });
+
+            assert.isFalse(result.valid);
+            assert.strictEqual(result.errors.length, 1);
+            assert.deepStrictEqual(result.warnings.map(warning => warning.path), [["cache"], ["level"]]);
+            assert.deepStrictEqual(warnings, result.warnings);
+        });
+
+        it("should return warnings from validateAll() when there's no onWarning option", () => {
+            schema = new ObjectSchema({
+                cache: {
+                    deprecated: true,
+                    merge: "replace",
+                    validate: "boolean"
+                }
+            });
+
+            const result = schema.validateAll({ cache: true });
+
+            assert.isTrue(result.valid);
+            assert.deepStrictEqual(result.warnings.map(warning => warning.code), ["DEPRECATED_KEY"]);
+        });
+
+        it("should report warnings for each object when merging", () => {
+            const result = schema.merge({ ignore: ["a"] }, { ignore: ["b"], ignores: ["c"] });
+
+            assert.deepStrictEqual(result.ignore, ["a", "b"]);
+            assert.deepStrictEqual(warnings.map(warning => warning.path), [["ignore"], ["ignore"]]);
+        });
+
+        it("should report warnings from validateAsync()", async () => {
+            schema = new ObjectSchema({
+                level: {
+                    deprecated: true,
+                    merge: "replace",
+                    async validate(value, { warn }) {
+                        await Promise.resolve();
+                        warn("Checked asynchronously.");
+                    }
+                }
+            }, {
+                onWarning(warning) {
+                    warnings.push(warning);
+                }
+            });
+
+            await schema.validateAsync({ level: 1 });
+
+            assert.deepStrictEqual(warnings.map(warning => warning.code), ["DEPRECATED_KEY", "VALIDATION_WARNING"]);
+        });
+
+        it("should keep the onWarning option when creating new schemas", () => {
+            schema.pick(["cache"]).validate({ cache: true });
+            schema.extend({ debug: { merge: "replace", validate: "boolean" } }).validate({ cache: true });
+            ObjectSchema.combine(schema.pick(["cache"]), schema.pick(["level"])).validate({ cache: true });
+
+            assert.strictEqual(warnings.length, 3);
+        });
+
+        it("should include the normalized deprecated property in getDefinition()", () => {
+            assert.deepStrictEqual(schema.getDefinition("ignore").deprecated, {
+                message: "It will be removed in v3.",
+                replacedBy: "ignores"
+            });
+            assert.deepStrictEqual(schema.getDefinition("cache").deprecated, {});
+            assert.isTrue(Object.isFrozen(schema.getDefinition("ignore").deprecated));
+        });
+
+        it("should mark deprecated keys in JSON Schema", () => {
+            const jsonSchema = schema.toJSONSchema();
+
+            assert.isTrue(jsonSchema.properties.ignore.deprecated);
+            assert.isTrue(jsonSchema.properties.options.properties.legacy.deprecated);
+            assert.notProperty(jsonSchema.properties.files, "deprecated");
+
+            schema = ObjectSchema.fromJSONSchema(jsonSchema);
+            assert.deepStrictEqual(schema.getDefinition("cache").deprecated, {});
+            assert.deepStrictEqual(schema.validateAll({ cache: true }).warnings.map(warning => warning.path), [["cache"]]);
+        });
+
+    });
+
 });
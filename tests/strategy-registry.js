@@ -0,0 +1,120 @@
+/**
+ * @filedescription Strategy Registry Tests
+ */
+/* global it, describe, beforeEach */
+
+"use strict";
+
+//-----------------------------------------------------------------------------
+// Requirements
+//-----------------------------------------------------------------------------
+
+const assert = require("chai").assert;
+const {
+    StrategyRegistry,
+    MergeStrategy,
+    ValidationStrategy,
+    NormalizationStrategy
+} = require("../src/");
+
+//-----------------------------------------------------------------------------
+// Class
+//-----------------------------------------------------------------------------
+
+describe("StrategyRegistry", () => {
+
+    let registry;
+
+    beforeEach(() => {
+        registry = new StrategyRegistry();
+    });
+
+    describe("new StrategyRegistry()", () => {
+
+        it("should contain the built-in strategies", () => {
+            assert.strictEqual(registry.getMergeStrategy("replace"), MergeStrategy.replace);
+            assert.strictEqual(registry.getMergeStrategy("deepAssign"), MergeStrategy.deepAssign);
+            assert.strictEqual(registry.getValidationStrategy("string!"), ValidationStrategy["string!"]);
+            assert.strictEqual(registry.getNormalizationStrategy("trim"), NormalizationStrategy.trim);
+        });
+
+        it("should not contain properties of the strategy classes that aren't strategies", () => {
+            assert.isUndefined(registry.getMergeStrategy("prototype"));
+            assert.isUndefined(registry.getMergeStrategy("mergeByKey"));
+            assert.isUndefined(registry.getValidationStrategy("name"));
+        });
+
+    });
+
+    describe("addMergeStrategy()", () => {
+
+        it("should add a merge strategy", () => {
+            const merge = () => {};
+
+            assert.strictEqual(registry.addMergeStrategy("custom", merge), registry);
+            assert.strictEqual(registry.getMergeStrategy("custom"), merge);
+            assert.include(registry.getMergeStrategyNames(), "custom");
+        });
+
+        it("should not add the strategy to other registries", () => {
+            registry.addMergeStrategy("custom", () => {});
+            assert.isUndefined(new StrategyRegistry().getMergeStrategy("custom"));
+        });
+
+        it("should throw an error when the name is already registered", () => {
+            assert.throws(() => {
+                registry.addMergeStrategy("replace", () => {});
+            }, /Strategy "replace" is already registered/);
+        });
+
+        it("should throw an error when the name isn't a string", () => {
+            assert.throws(() => {
+                registry.addMergeStrategy(null, () => {});
+            }, /Strategy name must be a non-empty string/);
+        });
+
+        it("should throw an error when the strategy isn't a function", () => {
+            assert.throws(() => {
+                registry.addMergeStrategy("custom", "replace");
+            }, /Strategy "custom" must be a function/);
+        });
+
+    });
+
+    describe("addValidationStrategy()", () => {
+
+        it("should add a validation strategy", () => {
+            const validate = () => {};
+
+            assert.strictEqual(registry.addValidationStrategy("semver", validate), registry);
+            assert.strictEqual(registry.getValidationStrategy("semver"), validate);
+            assert.include(registry.getValidationStrategyNames(), "semver");
+        });
+
+        it("should throw an error when the name is already registered", () => {
+            assert.throws(() => {
+                registry.addValidationStrategy("string", () => {});
+            }, /Strategy "string" is already registered/);
+        });
+
+    });
+
+    describe("addNormalizationStrategy()", () => {
+
+        it("should add a normalization strategy", () => {
+            const normalize = () => {};
+
+            assert.strictEqual(registry.addNormalizationStrategy("lowercase", normalize), registry);
+            assert.strictEqual(registry.getNormalizationStrategy("lowercase"), normalize);
+            assert.include(registry.getNormalizationStrategyNames(), "lowercase");
+        });
+
+        it("should throw an error when the name is already registered", () => {
+            assert.throws(() => {
+                registry.addNormalizationStrategy("trim", () => {});
+            }, /Strategy "trim" is already registered/);
+        });
+
+    });
+
+});
@@ -0,0 +1,320 @@
+/**
+ * @filedescription Type Definition Tests
+ *
+ * These tests run with the rest of the suite and are also type checked
+ * against the bundled type definitions by `npm run test:types`. Each type
+ * assertion is paired with a runtime assertion so the types describe what
+ * the schema actually does.
+ */
+/* global it, describe */
+// @ts-check
+
+"use strict";
+
+//-----------------------------------------------------------------------------
+// Requirements
+//-----------------------------------------------------------------------------
+
+const assert = require("chai").assert;
+const {
+    ObjectSchema,
+    MergeStrategy,
+    ValidationStrategy,
+    ObjectSchemaError,
+    MissingKeyError,
+    WrapperError
+} = require("../src/");
+
+//-----------------------------------------------------------------------------
+// Type Helpers
+//-----------------------------------------------------------------------------
+
+/**
+ * Resolves to true only when both types are identical.
+ * @template A, B
+ * @typedef {(<T>() => T extends A ? 1 : 2) extends (<T>() => T extends B ? 1 : 2) ? true : false} Equal
+ */
+
+//-----------------------------------------------------------------------------
+// Data
+//-----------------------------------------------------------------------------
+
+const schema = new ObjectSchema({
+    name: {
+        required: true,
+        merge: "replace",
+        validate: "string"
+    },
+    count: {
+        merge: "replace",
+        validate: "number"
+    },
+    label: {
+        merge: "replace",
+        validate: "string?"
+    },
+    tags: {
+        merge: "union",
+        validate: { arrayOf: "string" }
+    },
+    mode: {
+        merge: "replace",
+        validate: { oneOf: ["fast", "slow"] }
+    },
+    size: {
+        merge: "replace",
+        validate: ValidationStrategy.min(0)
+    },
+    options: {
+        schema: {
+            debug: {
+                required: true,
+                merge: "replace",
+                validate: "boolean"
+            }
+        }
+    },
+    custom: {
+        merge: "replace",
+        validate() {}
+    }
+});
+
+/** @typedef {import("../src").InferObjectSchema<typeof schema>} Config */
+
+const patternSchema = new ObjectSchema({
+    name: {
+        merge: "replace",
+        validate: "string"
+    },
+    "*": {
+        merge: "replace",
+        validate() {}
+    }
+});
+
+/** @typedef {import("../src").InferObjectSchema<typeof patternSchema>} PatternConfig */
+
+//-----------------------------------------------------------------------------
+// Tests
+//-----------------------------------------------------------------------------
+
+describe("Type definitions", () => {
+
+    describe("Inferred object types", () => {
+
+        it("should make keys optional unless they are required", () => {
+
+            /** @type {Equal<Config["name"], string>} */
+            const requiredName = true;
+
+            /** @type {Equal<Config["count"], number | undefined>} */
+            const optionalCount = true;
+
+            assert.isTrue(requiredName && optionalCount);
+            assert.throws(() => {
+                // @ts-expect-error name is required
+                schema.merge({ count: 1 }, { name: "a" });
+            }, MissingKeyError);
+        });
+
+        it("should map named validation strategies to primitive types", () => {
+
+            /** @type {Equal<Config["label"], string | null | undefined>} */
+            const nullableLabel = true;
+
+            /** @type {Equal<Config["size"], number | undefined>} */
+            const factorySize = true;
+
+            assert.isTrue(nullableLabel && factorySize);
+            assert.doesNotThrow(() => {
+                schema.validate({ name: "a", label: null, size: 1 });
+            });
+            assert.throws(() => {
+                schema.validate({ name: "a", size: -1 });
+            }, /greater than or equal to 0/u);
+        });
+
+        it("should infer types from validation options", () => {
+
+            /** @type {Equal<Config["tags"], string[] | undefined>} */
+            const tagsArray = true;
+
+            /** @type {Equal<Config["mode"], "fast" | "slow" | undefined>} */
+            const modeLiterals = true;
+
+            assert.isTrue(tagsArray && modeLiterals);
+            assert.throws(() => {
+                schema.validate({ name: "a", mode: "medium" });
+            }, /Expected one of "fast", "slow"/u);
+        });
+
+        it("should infer nested schema types", () => {
+
+            /** @type {Equal<Config["options"], { debug: boolean } | undefined>} */
+            const nestedOptions = true;
+
+            assert.isTrue(nestedOptions);
+            assert.throws(() => {
+                schema.validate({ name: "a", options: { debug: "yes" } });
+            }, WrapperError);
+        });
+
+        it("should use unknown for validation methods that aren't assertions", () => {
+
+            /** @type {Equal<Config["custom"], unknown>} */
+            const customUnknown = true;
+
+            assert.isTrue(customUnknown);
+            assert.doesNotThrow(() => {
+                schema.validate({ name: "a", custom: Symbol("custom") });
+            });
+        });
+
+        it("should allow any key when there is a wildcard definition", () => {
+
+            /** @type {Equal<PatternConfig, { [key: string]: unknown; name?: string }>} */
+            const indexSignature = true;
+
+            assert.isTrue(indexSignature);
+            assert.doesNotThrow(() => {
+                patternSchema.validate({ name: "a", other: 1 });
+            });
+        });
+
+    });
+
+    describe("Methods", () => {
+
+        it("should return the inferred type from merge()", () => {
+            const result = schema.merge({ name: "a", tags: ["x"] }, { name: "b", tags: ["y"] });
+
+            /** @type {Equal<typeof result, Config>} */
+            const mergeResult = true;
+
+            assert.isTrue(mergeResult);
+            assert.deepStrictEqual(result, { name: "b", tags: ["x", "y"] });
+        });
+
+        it("should return the inferred type from parse()", () => {
+            const result = schema.parse({ name: "a" });
+
+            /** @type {Equal<typeof result, Config>} */
+            const parseResult = true;
+
+            assert.isTrue(parseResult);
+            assert.strictEqual(result.name, "a");
+        });
+
+        it("should add extended keys to the inferred type", () => {
+            const extended = schema.pick(["name"]).extend({
+                enabled: {
+                    required: true,
+                    merge: "replace",
+                    validate: "boolean"
+                }
+            });
+
+            /** @type {Equal<import("../src").InferObjectSchema<typeof extended>, { name: string; enabled: boolean }>} */
+            const extendedType = true;
+
+            assert.isTrue(extendedType);
+            assert.deepStrictEqual(extended.keys(), ["name", "enabled"]);
+        });
+
+        it("should intersect the types of combined schemas", () => {
+            const combined = ObjectSchema.combine(
+                schema.pick(["name"]),
+                new ObjectSchema({
+                    level: {
+                        required: true,
+                        merge: "replace",
+                        validate: "integer"
+                    }
+                })
+            );
+
+            /** @type {Equal<import("../src").InferObjectSchema<typeof combined>, { name: string; level: number }>} */
+            const combinedType = true;
+
+            assert.isTrue(combinedType);
+            assert.deepStrictEqual(combined.keys(), ["name", "level"]);
+        });
+
+    });
+
+    describe("Warnings", () => {
+
+        it("should type warnings from validateAll() and validate() methods", () => {
+            const warningSchema = new ObjectSchema({
+                level: {
+                    deprecated: { replacedBy: "severity" },
+                    merge: "replace",
+                    validate(value, { warn }) {
+                        warn(`Level ${value} is deprecated.`);
+                    }
+                },
+                severity: {
+                    merge: "replace",
+                    validate: "string"
+                }
+            });
+            const { warnings } = warningSchema.validateAll({ level: 1 });
+
+            /** @type {Equal<typeof warnings[number]["code"], "DEPRECATED_KEY" | "VALIDATION_WARNING">} */
+            const warningCode = true;
+
+            assert.isTrue(warningCode);
+            assert.deepStrictEqual(warnings.map(warning => warning.code), ["DEPRECATED_KEY", "VALIDATION_WARNING"]);
+            assert.strictEqual(warnings[0].replacedBy, "severity");
+        });
+
+    });
+
+    describe("Strategies and errors", () => {
+
+        it("should type strategy results", () => {
+            const result = MergeStrategy.concat([1], [2]);
+
+            /** @type {Equal<typeof result, number[]>} */
+            const concatResult = true;
+
+            assert.isTrue(concatResult);
+            assert.deepStrictEqual(result, [1, 2]);
+        });
+
+        it("should narrow values with validation strategies", () => {
+
+            /** @type {unknown} */
+            const value = "a";
+
+            ValidationStrategy.string(value);
+
+            /** @type {Equal<typeof value, string>} */
+            const narrowed = true;
+
+            assert.isTrue(narrowed);
+        });
+
+        it("should expose error codes and paths", () => {
+            try {
+                schema.validate({});
+                assert.fail("Expected an error.");
+            } catch (ex) {
+                assert.instanceOf(ex, ObjectSchemaError);
+
+                if (ex instanceof MissingKeyError) {
+
+                    /** @type {Equal<typeof ex.code, "MISSING_KEY">} */
+                    const code = true;
+
+                    assert.isTrue(code);
+                    assert.strictEqual(ex.code, "MISSING_KEY");
+                    assert.deepStrictEqual(ex.path, ["name"]);
+                }
+            }
+        });
+
+    });
+
+});
@@ -183,4 +183,265 @@ describe("ValidationStrategy", () => {
     });
 
 
+    describe("integer", () => {
+        it("should not throw an error when the value is an integer", () => {
+            ValidationStrategy.integer(25);
+        });
+
+        it("should throw an error when the value is a fraction", () => {
+            assert.throws(() => {
+                ValidationStrategy.integer(2.5);
+            }, /Expected an integer/);
+        });
+
+        it("should throw an error when the value is a string", () => {
+            assert.throws(() => {
+                ValidationStrategy.integer("2");
+            }, /Expected an integer/);
+        });
+    });
+
+    describe("min()", () => {
+        it("should not throw an error when the value is the minimum", () => {
+            ValidationStrategy.min(2)(2);
+        });
+
+        it("should throw an error when the value is less than the minimum", () => {
+            assert.throws(() => {
+                ValidationStrategy.min(2)(1);
+            }, /Expected a number greater than or equal to 2/);
+        });
+
+        it("should throw an error when the value isn't a number", () => {
+            assert.throws(() => {
+                ValidationStrategy.min(2)("3");
+            }, /Expected a number/);
+        });
+
+        it("should throw an error when the value is NaN", () => {
+            assert.throws(() => {
+                ValidationStrategy.min(2)(NaN);
+            }, /Expected a number greater than or equal to 2/);
+        });
+
+        it("should describe the strategy using JSON Schema", () => {
+            assert.deepStrictEqual(ValidationStrategy.min(2).jsonSchema, { type: "number", minimum: 2 });
+        });
+    });
+
+    describe("max()", () => {
+        it("should not throw an error when the value is the maximum", () => {
+            ValidationStrategy.max(2)(2);
+        });
+
+        it("should throw an error when the value is greater than the maximum", () => {
+            assert.throws(() => {
+                ValidationStrategy.max(2)(3);
+            }, /Expected a number less than or equal to 2/);
+        });
+
+        it("should throw an error when the value is NaN", () => {
+            assert.throws(() => {
+                ValidationStrategy.max(2)(NaN);
+            }, /Expected a number less than or equal to 2/);
+        });
+    });
+
+    describe("minLength()", () => {
+        it("should not throw an error when the value is long enough", () => {
+            ValidationStrategy.minLength(2)("ab");
+        });
+
+        it("should throw an error when the value is too short", () => {
+            assert.throws(() => {
+                ValidationStrategy.minLength(2)("a");
+            }, /Expected a string with at least 2 characters/);
+        });
+
+        it("should throw an error when the value isn't a string", () => {
+            assert.throws(() => {
+                ValidationStrategy.minLength(2)(["a", "b"]);
+            }, /Expected a string/);
+        });
+    });
+
+    describe("maxLength()", () => {
+        it("should not throw an error when the value is short enough", () => {
+            ValidationStrategy.maxLength(2)("ab");
+        });
+
+        it("should throw an error when the value is too long", () => {
+            assert.throws(() => {
+                ValidationStrategy.maxLength(2)("abc");
+            }, /Expected a string with at most 2 characters/);
+        });
+    });
+
+    describe("pattern()", () => {
+        it("should not throw an error when the value matches", () => {
+            const validate = ValidationStrategy.pattern(/^a/g);
+            validate("ab");
+            validate("ab");
+        });
+
+        it("should accept a string pattern", () => {
+            ValidationStrategy.pattern("^a")("ab");
+        });
+
+        it("should throw an error when the value doesn't match", () => {
+            assert.throws(() => {
+                ValidationStrategy.pattern(/^a/)("ba");
+            }, /Expected a string matching \/\^a\//);
+        });
+
+        it("should describe the strategy using JSON Schema", () => {
+            assert.deepStrictEqual(ValidationStrategy.pattern(/^a/).jsonSchema, { type: "string", pattern: "^a" });
+        });
+
+        it("should leave out patterns with flags that can't be described", () => {
+            const validate = ValidationStrategy.pattern(/^abc$/i);
+
+            validate("ABC");
+            assert.deepStrictEqual(validate.jsonSchema, { type: "string" });
+            assert.deepStrictEqual(ValidationStrategy.pattern(/^a/gu).jsonSchema, { type: "string", pattern: "^a" });
+        });
+    });
+
+    describe("oneOf()", () => {
+        it("should not throw an error when the value is allowed", () => {
+            ValidationStrategy.oneOf(["off", 0])(0);
+        });
+
+        it("should throw an error when the value isn't allowed", () => {
+            assert.throws(() => {
+                ValidationStrategy.oneOf(["off", 0, null])("0");
+            }, /Expected one of "off", 0, null/);
+        });
+
+        it("should describe the strategy using JSON Schema", () => {
+            assert.deepStrictEqual(ValidationStrategy.oneOf(["off", 0]).jsonSchema, { enum: ["off", 0] });
+        });
+    });
+
+    describe("arrayOf()", () => {
+        it("should not throw an error when every item is valid", () => {
+            ValidationStrategy.arrayOf(ValidationStrategy.string)(["a", "b"]);
+        });
+
+        it("should throw an error when the value isn't an array", () => {
+            assert.throws(() => {
+                ValidationStrategy.arrayOf(ValidationStrategy.string)("a");
+            }, /Expected an array/);
+        });
+
+        it("should throw an error with the index when an item is invalid", () => {
+            let errorThrown = false;
+
+            try {
+                ValidationStrategy.arrayOf(ValidationStrategy.string)(["a", 1]);
+            } catch (ex) {
+                errorThrown = true;
+                assert.strictEqual(ex.message, "Index 1: Expected a string.");
+                assert.deepStrictEqual(ex.path, [1]);
+            }
+
+            assert.isTrue(errorThrown);
+        });
+
+        it("should describe the strategy using JSON Schema", () => {
+            assert.deepStrictEqual(ValidationStrategy.arrayOf(ValidationStrategy.string).jsonSchema, {
+                type: "array",
+                items: { type: "string" }
+            });
+        });
+    });
+
+    describe("anyOf()", () => {
+        const validate = ValidationStrategy.anyOf([
+            ValidationStrategy.string,
+            ValidationStrategy.arrayOf(ValidationStrategy.string)
+        ]);
+
+        it("should not throw an error when the value passes any strategy", () => {
+            validate("a");
+            validate(["a"]);
+        });
+
+        it("should throw an error listing every failure when no strategy passes", () => {
+            let errorThrown = false;
+
+            try {
+                validate([1]);
+            } catch (ex) {
+                errorThrown = true;
+                assert.instanceOf(ex, TypeError);
+                assert.strictEqual(ex.message, "Expected one of the following: (1) Expected a string. (2) Index 0: Expected a string.");
+                assert.strictEqual(ex.errors.length, 2);
+            }
+
+            assert.isTrue(errorThrown);
+        });
+
+        it("should try the remaining strategies after a promise is rejected", async () => {
+            const asyncValidate = ValidationStrategy.anyOf([
+                async value => ValidationStrategy.number(value),
+                ValidationStrategy.string
+            ]);
+
+            await asyncValidate(1);
+            await asyncValidate("a");
+
+            let errorThrown = false;
+
+            try {
+                await asyncValidate(true);
+            } catch (ex) {
+                errorThrown = true;
+                assert.strictEqual(ex.message, "Expected one of the following: (1) Expected a number. (2) Expected a string.");
+            }
+
+            assert.isTrue(errorThrown);
+        });
+
+        it("should describe the strategy using JSON Schema", () => {
+            assert.deepStrictEqual(validate.jsonSchema, {
+                anyOf: [
+                    { type: "string" },
+                    { type: "array", items: { type: "string" } }
+                ]
+            });
+        });
+    });
+
+    describe("nullable()", () => {
+        it("should not throw an error when the value is null", () => {
+            ValidationStrategy.nullable(ValidationStrategy.string)(null);
+        });
+
+        it("should not throw an error when the value passes the strategy", () => {
+            ValidationStrategy.nullable(ValidationStrategy.string)("a");
+        });
+
+        it("should throw an error mentioning null when the value doesn't pass the strategy", () => {
+            assert.throws(() => {
+                ValidationStrategy.nullable(ValidationStrategy.number)("a");
+            }, /^Expected a number or null\.$/);
+        });
+
+        it("should throw the original error when the message can't be changed", () => {
+            assert.throws(() => {
+                ValidationStrategy.nullable(ValidationStrategy.min(1))(0);
+            }, /^Expected a number greater than or equal to 1\.$/);
+        });
+
+        it("should describe the strategy using JSON Schema", () => {
+            assert.deepStrictEqual(ValidationStrategy.nullable(ValidationStrategy.string).jsonSchema, {
+                type: ["string", "null"]
+            });
+            assert.deepStrictEqual(ValidationStrategy.nullable(ValidationStrategy.oneOf([1])).jsonSchema, {
+                anyOf: [{ enum: [1] }, { type: "null" }]
+            });
+        });
+    });
+
 });